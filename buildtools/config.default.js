@@ -28,6 +28,133 @@ module.exports = {
 	 */
 	downloaderCheckHashes: true,
 
+	/**
+	 * Reuse previously downloaded files across builds?
+	 * 
+	 * @default true
+	 */
+	downloaderUseCache: true,
+
+	/**
+	 * Persistent download cache directory.
+	 * 
+	 * Files are stored by their hashes and survive `cleanup`,
+	 * so keep it outside of the build destination directory.
+	 * 
+	 * @default "../.buildcache"
+	 */
+	downloaderCacheDirectory: "../.buildcache",
+
+	/**
+	 * `gulp cachePrune` removes files that haven't been used for this many days.
+	 * 
+	 * Set to 0 to disable.
+	 * 
+	 * @default 30
+	 */
+	cachePruneMaxAge: 30,
+
+	/**
+	 * `gulp cachePrune` removes least recently used files until
+	 * the cache fits into this many megabytes.
+	 * 
+	 * Set to 0 to disable.
+	 * 
+	 * @default 0
+	 */
+	cachePruneMaxSize: 0,
+
+	/**
+	 * Mod repository backend.
+	 * 
+	 * * `curseforge` - CurseForge Core API, requires an API key.
+	 * * `curseforge-legacy` - the retired addons-ecs.forgesvc.net API,
+	 * for stand-in servers mimicking it.
+	 * 
+	 * @default "curseforge"
+	 */
+	modRepository: "curseforge",
+
+	/**
+	 * Mod repository API URL.
+	 * 
+	 * Can be overridden with the CURSEFORGE_API_URL env. variable, an alias
+	 * of MPBT_MOD_REPOSITORY_URL, e.g. to point at a local stand-in server.
+	 * 
+	 * @default "https://api.curseforge.com/"
+	 */
+	modRepositoryUrl: "https://api.curseforge.com/",
+
+	/**
+	 * Mod repository API key.
+	 * 
+	 * Prefer the CURSEFORGE_API_KEY env. variable, an alias of
+	 * MPBT_MOD_REPOSITORY_API_KEY, over committing it.
+	 */
+	modRepositoryApiKey: "",
+
+	/**
+	 * CDN URL used for files the API provides no download URL for.
+	 * 
+	 * @default "https://mediafilez.forgecdn.net/files/"
+	 */
+	modRepositoryCdnUrl: "https://mediafilez.forgecdn.net/files/",
+
+	/**
+	 * Build purely from saved metadata and cached downloads,
+	 * without going to the network.
+	 * 
+	 * Can also be enabled by passing `--offline`.
+	 * 
+	 * @default false
+	 */
+	offline: false,
+
+	/**
+	 * Directory to save metadata responses into.
+	 * 
+	 * Applies to:
+	 * * CurseForge addon and file info
+	 * * Minecraft version manifests
+	 * * Forge install profiles
+	 * 
+	 * @default "../.buildcache/metadata"
+	 */
+	metadataDirectory: "../.buildcache/metadata",
+
+	/**
+	 * Mods to exclude from the server.
+	 * 
+	 * Project IDs or globs matched against file names, e.g. `"Xaeros_Minimap_*"`.
+	 * Same as setting `"side": "client"` on the file in manifest.json,
+	 * which takes priority over this list.
+	 */
+	clientOnlyMods: [],
+
+	/**
+	 * Mods to exclude from the client.
+	 * 
+	 * Project IDs or globs matched against file names.
+	 * Same as setting `"side": "server"` on the file in manifest.json.
+	 */
+	serverOnlyMods: [],
+
+	/**
+	 * Warn if a project known to be client-only is about to be bundled into the server.
+	 * 
+	 * @default true
+	 */
+	warnClientOnlyMods: true,
+
+	/**
+	 * Fail the server build if more than one jar declares the same mod ID.
+	 * 
+	 * Duplicates are reported in mods-report.json either way.
+	 * 
+	 * @default false
+	 */
+	failOnDuplicateModIds: false,
+
 	/**
 	 * Defines the min amount of RAM.
 	 * 
@@ -53,6 +180,108 @@ module.exports = {
 	 */
 	launchscriptsJVMArgs: "",
 
+	/**
+	 * Pause launch scripts once the server stops so the output can be read.
+	 * 
+	 * Disable for unattended hosting. Ignored when launchscriptsServices is enabled.
+	 * 
+	 * @default true
+	 */
+	launchscriptsInteractive: true,
+
+	/**
+	 * Render service definitions from ./servicescripts into the server:
+	 * a systemd unit and a start/stop/backup helper script.
+	 * 
+	 * Makes launch scripts non-interactive regardless of launchscriptsInteractive.
+	 * 
+	 * @default false
+	 */
+	launchscriptsServices: false,
+
+	/**
+	 * Name of the systemd unit and the screen/tmux session.
+	 * 
+	 * Derived from the modpack name if unset.
+	 * 
+	 * @default null
+	 */
+	serviceName: null,
+
+	/**
+	 * User the systemd unit runs the server as.
+	 * 
+	 * @default "minecraft"
+	 */
+	serviceUser: "minecraft",
+
+	/**
+	 * Where the server is installed on the host, used by the systemd unit.
+	 * 
+	 * Defaults to /opt/<serviceName> if unset.
+	 * 
+	 * @default null
+	 */
+	serviceDirectory: null,
+
+	/**
+	 * Terminal multiplexer used by service.sh, `screen` or `tmux`.
+	 * 
+	 * @default "screen"
+	 */
+	serviceMultiplexer: "screen",
+
+	/**
+	 * Custom variables for launch scripts and server files.
+	 * 
+	 * Built-in ones are packName, packVersion, packAuthor, minecraftVersion,
+	 * modLoader, modLoaderVersion, gitCommit, gitShortCommit, gitBranch, gitTag,
+	 * repoName, snapshot, variant, archiveName (same as serverArchive), clientArchive, serverArchive,
+	 * mrpackArchive, multimcArchive, jvmArgs, minRAM, maxRAM, serverJar, forgeJar, launchArgs, launchArgsWindows,
+	 * interactive, serviceName, serviceUser, serviceDirectory and useTmux.
+	 * 
+	 * @example { discord: "https://discord.gg/example" }
+	 */
+	templateVariables: {},
+
+	/**
+	 * Base image of the server Docker image.
+	 * 
+	 * `{{javaVersion}}` is replaced with the Java version picked for the Minecraft version.
+	 * 
+	 * @default "eclipse-temurin:{{javaVersion}}-jre"
+	 */
+	dockerBaseImage: "eclipse-temurin:{{javaVersion}}-jre",
+
+	/**
+	 * Java version of the server Docker image.
+	 * 
+	 * Picked based on the Minecraft version if unset.
+	 * 
+	 * @default null
+	 */
+	dockerJavaVersion: null,
+
+	/**
+	 * Volumes of the server Docker image.
+	 * 
+	 * The world folder can be moved with the WORLD_DIR env. variable,
+	 * which is passed to the server as --universe and --world.
+	 */
+	dockerVolumes: [
+		"/server/world",
+	],
+
+	/**
+	 * Server files to process using mustache, like launch scripts.
+	 * Relative to the serverfiles folder.
+	 */
+	serverfilesTemplateGlobs: [
+		"**/*.properties",
+		"**/*.txt",
+		"**/*.json",
+	],
+
 	/**
 	 * Files to copy from overrides into the server.
 	 * Relative to the overrides folder.
@@ -71,6 +300,200 @@ module.exports = {
 		"/**/*"
 	],
 
+	/**
+	 * Editions of the modpack built by `gulp buildAll`, e.g. lite and full.
+	 * 
+	 * Client and server archives are built for every variant, downloads are shared
+	 * through the download cache. Each variant may have:
+	 * * `name` - variant name, available to templates as `{{variant}}`
+	 * * `archiveSuffix` - appended to archive names, defaults to `-<name>`
+	 * * `manifest` - `add` manifest file entries and `remove` project IDs.
+	 * Added entries replace ones of the same project.
+	 * * `overrides` - extra override folders relative to the source directory,
+	 * copied on top of the modpack overrides
+	 * * `copyOverridesClientGlobs`, `copyOverridesServerGlobs` - replace the default globs
+	 * 
+	 * Builds manifest.json as it is if empty.
+	 * 
+	 * @example [
+	 * 	{ name: "full", archiveSuffix: "" },
+	 * 	{ name: "lite", manifest: { remove: [238222] }, overrides: ["variants/lite"] }
+	 * ]
+	 */
+	buildVariants: [],
+
+	/**
+	 * Name of client and server archives, the .mrpack and the MultiMC instance,
+	 * without the extension.
+	 * 
+	 * Processed using mustache with the pack variables (see templateVariables),
+	 * plus `repoName`, `snapshot` (true for untagged builds), `side` (client, server,
+	 * mrpack or multimc), and a boolean per side. Variants append their archive suffix.
+	 * 
+	 * Deploy tasks read the names back from build-manifest.json.
+	 * 
+	 * @example "{{packName}}-{{packVersion}}-{{side}}"
+	 */
+	archiveNameTemplate: "{{repoName}}-{{#snapshot}}{{gitBranch}}-{{gitShortCommit}}-snapshot{{/snapshot}}"
+		+ "{{^snapshot}}{{gitTag}}{{/snapshot}}{{#server}}-server{{/server}}"
+		+ "{{#multimc}}-multimc{{/multimc}}",
+
+	/**
+	 * Build artifacts listed in SHA256SUMS and build-manifest.json.
+	 * Relative to the build folder.
+	 */
+	artifactGlobs: [
+		"*.zip",
+		"*.mrpack",
+	],
+
+	/**
+	 * Release type of uploads, `alpha`, `beta` or `release`.
+	 * 
+	 * Worked out from the git tag if unset: tags mentioning alpha are alphas,
+	 * tags mentioning beta, rc or pre are betas, other tags are releases.
+	 * 
+	 * @default null
+	 */
+	releaseType: null,
+
+	/**
+	 * Release types of untagged builds by branch.
+	 * Untagged builds of other branches are alphas.
+	 * 
+	 * @example { master: "beta" }
+	 */
+	releaseBranchTypes: {},
+
+	/**
+	 * Files to upload to CurseForge, relative to the build folder.
+	 * 
+	 * The first one is the main file, the rest are uploaded as its additional files.
+	 * Both `file` and `displayName` are processed using mustache, with the same
+	 * pack variables launch scripts get. Missing files marked as `optional` are skipped.
+	 */
+	curseForgeFiles: [
+		{ file: "{{clientArchive}}.zip", displayName: "{{packName}} {{packVersion}}" },
+		{ file: "{{serverArchive}}.zip", displayName: "{{packName}} {{packVersion}} Server" },
+	],
+
+	/**
+	 * Changelog to attach to CurseForge uploads, relative to the build folder.
+	 * 
+	 * Generated by `gulp changelog`.
+	 * 
+	 * @default "changelog.md"
+	 */
+	curseForgeChangelog: "changelog.md",
+
+	/**
+	 * Changelog format, `text`, `markdown` or `html`.
+	 * 
+	 * Derived from the changelog file extension if unset.
+	 * 
+	 * @default null
+	 */
+	curseForgeChangelogType: null,
+
+	/**
+	 * Project relations of the main CurseForge file.
+	 * 
+	 * Types are embeddedLibrary, incompatible, optionalDependency, requiredDependency and tool.
+	 * 
+	 * @example [{ slug: "jei", type: "requiredDependency" }]
+	 */
+	curseForgeRelations: [],
+
+	/**
+	 * GitHub repository to release to, as `owner/repo`.
+	 * 
+	 * Defaults to the repository being built, as reported by the CI
+	 * or the origin remote of a local checkout.
+	 * 
+	 * @default null
+	 */
+	githubRepository: null,
+
+	/**
+	 * GitHub release name, processed using mustache with the pack variables.
+	 * 
+	 * Pre-releases of untagged builds get the short commit hash appended.
+	 */
+	githubReleaseName: "{{packName}} {{packVersion}}",
+
+	/**
+	 * Release notes of GitHub releases, relative to the build folder.
+	 * 
+	 * Generated by `gulp changelog`.
+	 * 
+	 * @default "changelog.md"
+	 */
+	githubReleaseBody: "changelog.md",
+
+	/**
+	 * Files to upload to GitHub releases, relative to the build folder.
+	 * 
+	 * `file` is processed using mustache, with the pack variables.
+	 * Missing files marked as `optional` are skipped.
+	 * Existing assets with the same name are replaced.
+	 */
+	githubReleaseAssets: [
+		{ file: "{{clientArchive}}.zip" },
+		{ file: "{{serverArchive}}.zip" },
+		{ file: "{{mrpackArchive}}.mrpack", optional: true },
+		{ file: "{{multimcArchive}}.zip", optional: true },
+		{ file: "SHA256SUMS", optional: true },
+		{ file: "build-manifest.json", optional: true },
+		{ file: "changelog.md", optional: true },
+		{ file: "changelog.html", optional: true },
+	],
+
+	/**
+	 * Files with the pack version in them, updated by `gulp release`.
+	 * 
+	 * `file` is relative to the overrides folder. `pattern` is the text around
+	 * the version, with `{{version}}` marking the version itself, so
+	 * other occurrences of the same number are left alone.
+	 * Without a pattern, every occurrence of the old version is replaced.
+	 * 
+	 * @example [{ file: "config/custommainmenu/mainmenu.json", pattern: "\"text\": \"v{{version}}\"" }]
+	 */
+	releaseVersionFiles: [],
+
+	/**
+	 * Changelog `gulp release` adds a section of each new version to,
+	 * relative to the source directory. Set to null to skip it.
+	 * 
+	 * @default "CHANGELOG.md"
+	 */
+	releaseChangelogFile: "CHANGELOG.md",
+
+	/**
+	 * Message of release commits made by `gulp release --commit`,
+	 * processed using mustache.
+	 * 
+	 * Available variables: packName, version, previousVersion.
+	 */
+	releaseCommitMessage: "Release {{version}}",
+
+	/**
+	 * Name of tags made by `gulp release --tag`,
+	 * processed using mustache with the same variables as releaseCommitMessage.
+	 */
+	releaseTagTemplate: "v{{version}}",
+
+	/**
+	 * Named sets of overrides, applied on top of the config
+	 * when picked with `--profile <name>` or the MPBT_PROFILE env. variable.
+	 * 
+	 * Any key can also be overridden with an MPBT_* env. variable,
+	 * e.g. MPBT_DOWNLOADER_MAX_RETRIES=10. Run `gulp printConfig` to see
+	 * the resolved config and where each value came from.
+	 * 
+	 * @example { dev: { offline: true }, release: { releaseType: "release" } }
+	 */
+	profiles: {},
+
 	/**
 	 * As you might've guessed, build destination directory.
 	 */
@@ -1,6 +1,10 @@
 const fs = require("fs");
+const log = require("fancy-log");
 const path = require("path").posix;
 
+const { hasFlag, getArgument } = require("./util/util.js");
+const { resolveConfig, ENV_PROFILE } = require("./util/config.js");
+
 /**
  * Config!
  * 
@@ -8,28 +12,68 @@ const path = require("path").posix;
  * 
  * Please create ./config.js and overwrite values as you see fit.
  * Don't modify the default file!
+ * 
+ * Profiles and MPBT_* env. variables are applied on top,
+ * see `profiles` in the default file.
  */
-const CONFIG = require("./config.default.js");
-if (!CONFIG || CONFIG.constructor !== Object) {
+const DEFAULT_CONFIG = require("./config.default.js");
+if (!DEFAULT_CONFIG || DEFAULT_CONFIG.constructor !== Object) {
 	throw new Error(`Fatal Error: malformed default config file.`);
 }
 
 const CUSTOM_CONFIG_PATH = "./config.js";
 
 /**
- * If ./config.js exists, merge its values with the default config file.
+ * If ./config.js exists, its values replace the default ones.
  */
-if (fs.existsSync(CUSTOM_CONFIG_PATH)) {
-	const customConfig = require(CUSTOM_CONFIG_PATH);
+var customConfig;
+if (fs.existsSync(path.join(__dirname, CUSTOM_CONFIG_PATH))) {
+	customConfig = require(CUSTOM_CONFIG_PATH);
 	if (!customConfig || customConfig.constructor !== Object) {
 		throw new Error(`Fatal Error: malformed ${CUSTOM_CONFIG_PATH}.`);
 	}
+}
+
+const overrides = [];
+if (hasFlag("offline")) {
+	overrides.push({ source: "--offline", values: { offline: true } });
+}
+
+const resolved = resolveConfig({
+	defaults: DEFAULT_CONFIG
+	, custom: customConfig
+	, profile: getArgument("profile") || process.env[ENV_PROFILE]
+	, env: process.env
+	, overrides: overrides
+});
 
-	Object.assign(defaultConfig, customConfig);
+const configErrors = resolved.diagnostics.filter(x => x.severity == "error");
+resolved.diagnostics
+	.filter(x => x.severity == "warning")
+	.forEach(x => log.warn(`Config: ${x.path}: ${x.message}`));
+
+if (configErrors.length > 0) {
+	throw new Error(`Fatal Error: invalid config.\n${configErrors.map(x => `${x.path}: ${x.message}`).join("\n")}`);
 }
 
+const CONFIG = resolved.config;
+
+/**
+ * Where each config value came from, for `gulp printConfig`.
+ */
+global.CONFIG_SOURCES = resolved.sources;
+
 global.CONFIG = CONFIG;
 global.LOCAL_STORAGE = {};
 
-global.MODPACK_MANIFEST = JSON.parse(fs.readFileSync(path.join(CONFIG.buildSourceDirectory, "manifest.json")));
-global.OVERRIDES_FOLDER = MODPACK_MANIFEST.overrides || "overrides";
+/**
+ * Only parse manifest.json here. It's linted by the lintManifest task.
+ */
+const MANIFEST_PATH = path.join(CONFIG.buildSourceDirectory, "manifest.json");
+try {
+	global.MODPACK_MANIFEST = JSON.parse(fs.readFileSync(MANIFEST_PATH));
+} catch (err) {
+	throw new Error(`Fatal Error: couldn't parse ${MANIFEST_PATH}: ${err.message}`);
+}
+
+global.OVERRIDES_FOLDER = (MODPACK_MANIFEST && MODPACK_MANIFEST.overrides) || "overrides";
@@ -24,30 +24,66 @@ function postCleanup(cb) {
 
 const serverTasks = require("./tasks/server");
 const clientTasks = require("./tasks/client");
-const travisTasks = require("./tasks/travis");
+const mrpackTasks = require("./tasks/mrpack");
+const multiMCTasks = require("./tasks/multimc");
+const dockerTasks = require("./tasks/docker");
 const travisChecksTasks = require("./tasks/travis/checks");
+const lintManifestTasks = require("./tasks/checks/manifest");
+const artifactTasks = require("./tasks/artifacts");
+const { forEachVariant } = require("./tasks/variants");
 
 const buildServer = series(
+	...lintManifestTasks,
 	cleanup,
 	...serverTasks,
+	...artifactTasks,
+	postCleanup
+);
+
+const buildServerDocker = series(
+	...lintManifestTasks,
+	cleanup,
+	...serverTasks,
+	...dockerTasks,
+	...artifactTasks,
 	postCleanup
 );
 
 const buildClient = series(
+	...lintManifestTasks,
 	cleanup,
 	...clientTasks,
+	...artifactTasks,
 	postCleanup,
 )
 
-const buildAll = series(
+const buildMrpack = series(
+	...lintManifestTasks,
 	cleanup,
-	...serverTasks,
-	...clientTasks,
-	postCleanup
+	...mrpackTasks,
+	...artifactTasks,
+	postCleanup,
 )
 
-const travis = series(
-	...travisTasks
+const buildMultiMC = series(
+	...lintManifestTasks,
+	cleanup,
+	...multiMCTasks,
+	...artifactTasks,
+	postCleanup,
+)
+
+/**
+ * Builds client and server archives of every variant,
+ * then the .mrpack of manifest.json as it is.
+ */
+const buildAll = series(
+	...lintManifestTasks,
+	cleanup,
+	...forEachVariant([...serverTasks, ...clientTasks]),
+	...mrpackTasks,
+	...artifactTasks,
+	postCleanup
 )
 
 const travisChecks = series(
@@ -56,9 +92,21 @@ const travisChecks = series(
 
 module.exports = {
 	buildServer: buildServer,
+	buildServerDocker: buildServerDocker,
 	buildClient: buildClient,
+	buildMrpack: buildMrpack,
+	buildMultiMC: buildMultiMC,
 	buildAll: buildAll,
-	travis: travis,
 	travisChecks: travisChecks,
-	deployCurseForge: series(require("./tasks/deploy/curseforge"))
+	lintManifest: series(...lintManifestTasks),
+	checkDependencies: series(require("./tasks/checks/dependencies")),
+	checksums: series(...artifactTasks),
+	changelog: series(require("./tasks/changelog")),
+	deployCurseForge: series(require("./tasks/deploy/curseforge")),
+	deployModrinth: series(require("./tasks/deploy/modrinth")),
+	deployGitHub: series(require("./tasks/deploy/github")),
+	release: series(require("./tasks/release")),
+	cacheStats: series(require("./tasks/cache/stats")),
+	cachePrune: series(require("./tasks/cache/prune")),
+	printConfig: series(require("./tasks/config/print"))
 }
@@ -0,0 +1,106 @@
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+const Promise  = require("bluebird");
+
+const { src } = require("gulp");
+
+const { hashFileMany } = require("../../util/hashes.js");
+const { BUILD_MANIFEST_FILE, readBuildManifest } = require("../../util/artifacts.js");
+const { getPackContext } = require("../server/templates.js");
+const { DEST_FOLDER } = require("../common.js");
+
+const SHA256SUMS_PATH     = path.join(DEST_FOLDER, "SHA256SUMS");
+const BUILD_MANIFEST_PATH = path.join(DEST_FOLDER, BUILD_MANIFEST_FILE);
+
+/**
+ * Hashes listed in the build manifest.
+ */
+const ARTIFACT_HASHES = ["sha1", "sha256", "sha512"];
+
+/**
+ * @typedef {object} Artifact
+ * @property {string} file File name, relative to the build folder.
+ * @property {number} size Size in bytes.
+ * @property {Object.<string, string>} hashes Hex hash sums by algorithm.
+ */
+
+/**
+ * Lists artifacts matching `CONFIG.artifactGlobs`, sorted by name.
+ *
+ * @returns {Promise<string[]>} Paths relative to the build folder.
+ */
+const listArtifacts = () => {
+	return new Promise((resolve, reject) => {
+		const files = [];
+
+		src(CONFIG.artifactGlobs.map(glob => path.join(DEST_FOLDER, glob)), { base: DEST_FOLDER, read: false, nodir: true, allowEmpty: true })
+			.on("data", (file) => files.push(file.relative.replace(/\\/g, "/")))
+			.on("error", reject)
+			.on("end", () => resolve(files.sort()));
+	});
+}
+
+/**
+ * Archives listed by the previous build manifest, so running
+ * `gulp checksums` on its own doesn't forget them.
+ *
+ * @returns {import("../../util/artifacts.js").BuiltArchive[]}
+ */
+const previousArchives = () => {
+	const manifest = readBuildManifest(DEST_FOLDER);
+	return (manifest && manifest.archives) || [];
+}
+
+/**
+ * Writes SHA256SUMS and build-manifest.json into the build folder.
+ *
+ * SHA256SUMS can be checked with `sha256sum -c SHA256SUMS`.
+ * The build manifest lists every artifact with its size and hashes,
+ * along with what was built.
+ */
+function writeChecksums(cb) {
+	listArtifacts()
+		.then((files) => Promise.mapSeries(files, (file) => {
+			const filePath = path.join(DEST_FOLDER, file);
+
+			return hashFileMany(filePath, ARTIFACT_HASHES).then((hashes) => {
+				return {
+					file: file
+					, size: fs.statSync(filePath).size
+					, hashes: hashes
+				};
+			});
+		}))
+		.then((artifacts) => {
+			const context = getPackContext();
+
+			const manifest = {
+				name: context.packName
+				, version: context.packVersion
+				, minecraftVersion: context.minecraftVersion
+				, modLoader: context.modLoader
+				, modLoaderVersion: context.modLoaderVersion
+				, git: {
+					commit: context.gitCommit
+					, branch: context.gitBranch
+					, tag: context.gitTag || null
+				}
+				, archives: LOCAL_STORAGE.archives || previousArchives()
+				, artifacts: artifacts
+			};
+
+			fs.writeFileSync(SHA256SUMS_PATH, artifacts.map(x => `${x.hashes.sha256}  ${x.file}\n`).join(""));
+			fs.writeFileSync(BUILD_MANIFEST_PATH, JSON.stringify(manifest, null, "\t"));
+
+			artifacts.forEach(x => log(`${x.file}: ${x.hashes.sha256}`));
+			log(`Saved checksums of ${artifacts.length} artifacts to ${path.normalize(SHA256SUMS_PATH)} and ${path.normalize(BUILD_MANIFEST_PATH)}`);
+
+			cb();
+		})
+		.catch(cb);
+}
+
+module.exports = [
+	writeChecksums
+]
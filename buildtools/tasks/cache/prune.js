@@ -0,0 +1,26 @@
+const log = require("fancy-log");
+
+const { DownloadCache } = require("../../util/cache.js");
+const { formatBytes } = require("../../util/util.js");
+
+/**
+ * Prunes the download cache according to
+ * `cachePruneMaxAge` and `cachePruneMaxSize`.
+ */
+function cachePrune(cb) {
+	const cache = new DownloadCache(CONFIG.downloaderCacheDirectory);
+
+	const removed = cache.prune({
+		maxAge: CONFIG.cachePruneMaxAge
+		, maxSize: CONFIG.cachePruneMaxSize * 1024 * 1024
+	});
+
+	log(`Removed ${removed.objects} cached files (${formatBytes(removed.size)}).`);
+	log(`Cache size is now ${formatBytes(cache.stats().size)}.`);
+
+	cb();
+}
+
+module.exports = [
+	cachePrune
+]
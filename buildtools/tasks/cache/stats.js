@@ -0,0 +1,26 @@
+const log = require("fancy-log");
+
+const { DownloadCache } = require("../../util/cache.js");
+const { formatBytes } = require("../../util/util.js");
+
+/**
+ * Prints download cache statistics.
+ */
+function cacheStats(cb) {
+	const stats = new DownloadCache(CONFIG.downloaderCacheDirectory).stats();
+
+	log(`Cache directory: ${stats.directory}`);
+	log(`Cached files: ${stats.objects} (${stats.keys} lookup keys)`);
+	log(`Total size: ${formatBytes(stats.size)}`);
+
+	if (stats.objects > 0) {
+		log(`Least recently used: ${new Date(stats.oldestAccess).toISOString()}`);
+		log(`Most recently used: ${new Date(stats.newestAccess).toISOString()}`);
+	}
+
+	cb();
+}
+
+module.exports = [
+	cacheStats
+]
@@ -0,0 +1,149 @@
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+
+const { getArgument } = require("../../util/util.js");
+const { getPreviousTag, showFile, getChangedFiles } = require("../../util/git.js");
+const { diffManifests } = require("../../util/changelog.js");
+const { MOD_REPOSITORY } = require("../common.js");
+
+const SRC_FOLDER = CONFIG.buildSourceDirectory;
+
+/**
+ * Tags that never mark a release.
+ */
+const IGNORED_TAGS = [
+	"latest-dev-preview"
+];
+
+/**
+ * @typedef {object} PreviousManifest
+ * @property {object} manifest Parsed manifest.
+ * @property {string} label Where it came from, e.g. a tag.
+ * @property {string} [ref] Git revision, if it came from git.
+ */
+
+/**
+ * Resolves the manifest to compare against.
+ *
+ * Uses `--from <file>` if passed, then `--since <tag>`,
+ * then the given revision, then falls back to the previous tag.
+ *
+ * @param {string} [since] Git revision to compare against.
+ * @returns {PreviousManifest|null} Null if there's no previous release.
+ */
+const getPreviousManifest = (since) => {
+	const fromFile = getArgument("from");
+	if (fromFile) {
+		return {
+			manifest: JSON.parse(fs.readFileSync(fromFile))
+			, label: path.basename(fromFile)
+		};
+	}
+
+	const ref = getArgument("since") || since || getPreviousTag(SRC_FOLDER, IGNORED_TAGS);
+	if (!ref) {
+		return null;
+	}
+
+	return {
+		manifest: JSON.parse(showFile(ref, "manifest.json", SRC_FOLDER))
+		, label: ref
+		, ref: ref
+	};
+}
+
+/**
+ * Builds the changelog between the previous manifest and the current one.
+ *
+ * Project and file names are resolved through the mod repository.
+ *
+ * @param {string} [since] Git revision to compare against, see getPreviousManifest.
+ * @returns {Promise<import("../../util/changelog.js").Changelog>}
+ */
+const createChangelog = (since) => {
+	var previous = getPreviousManifest(since);
+	if (!previous) {
+		log.warn("No previous tag found, listing every mod as added. (pass --since <tag> or --from <file> to compare)");
+		previous = { manifest: { files: [] }, label: null };
+	}
+
+	const diff = diffManifests(previous.manifest, MODPACK_MANIFEST);
+
+	const files = [
+		...diff.added,
+		...diff.removed,
+		...diff.changed.map(x => x.from),
+		...diff.changed.map(x => x.to)
+	];
+
+	const projectIDs = [...new Set(files.map(file => file.projectID))];
+
+	if (previous.label) {
+		log(`Comparing against ${previous.label}...`);
+	}
+
+	return Promise.all([
+		MOD_REPOSITORY.getMods(projectIDs),
+		MOD_REPOSITORY.getFiles(files)
+	]).then(([modInfos, fileInfos]) => {
+		const mods = new Map(projectIDs.map((projectID, index) => [projectID, modInfos[index]]));
+		const fileInfoOf = (file) => fileInfos[files.indexOf(file)] || {};
+
+		const toMod = (file, fromFile) => {
+			const modInfo = mods.get(file.projectID) || {};
+			const mod = {
+				name: modInfo.name || `Project ${file.projectID}`
+				, url: modInfo.websiteUrl
+				, file: fileInfoOf(file).fileName
+			};
+
+			if (fromFile) {
+				mod.fromFile = fileInfoOf(fromFile).fileName;
+			}
+
+			return mod;
+		};
+
+		/**
+		 * Compare upload dates to tell updates from downgrades.
+		 * File IDs are sequential, so fall back to them.
+		 */
+		const isNewer = (from, to) => {
+			const fromDate = Date.parse(fileInfoOf(from).fileDate);
+			const toDate = Date.parse(fileInfoOf(to).fileDate);
+
+			return isNaN(fromDate) || isNaN(toDate)
+				? to.fileID > from.fileID
+				: toDate > fromDate;
+		};
+
+		const byName = (a, b) => a.name.localeCompare(b.name);
+
+		const changelog = {
+			title: previous.label ? `Changes since ${previous.label}` : "First release"
+			, added: diff.added.map(file => toMod(file)).sort(byName)
+			, removed: diff.removed.map(file => toMod(file)).sort(byName)
+			, updated: diff.changed.filter(x => isNewer(x.from, x.to)).map(x => toMod(x.to, x.from)).sort(byName)
+			, downgraded: diff.changed.filter(x => !isNewer(x.from, x.to)).map(x => toMod(x.to, x.from)).sort(byName)
+		};
+
+		if (previous.ref) {
+			const overrides = getChangedFiles(previous.ref, OVERRIDES_FOLDER, SRC_FOLDER);
+			const strip = file => file.replace(new RegExp(`^${OVERRIDES_FOLDER}/`), "");
+
+			changelog.overrides = {
+				added: overrides.added.map(strip)
+				, modified: overrides.modified.map(strip)
+				, removed: overrides.removed.map(strip)
+			};
+		}
+
+		return changelog;
+	});
+}
+
+module.exports = {
+	IGNORED_TAGS: IGNORED_TAGS,
+	createChangelog: createChangelog
+}
@@ -0,0 +1,34 @@
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+
+const { renderMarkdown, renderHtml } = require("../../util/changelog.js");
+const { createChangelog } = require("./changelog.js");
+const { DEST_FOLDER } = require("../common.js");
+
+const CHANGELOG_MARKDOWN = path.join(DEST_FOLDER, "changelog.md");
+const CHANGELOG_HTML     = path.join(DEST_FOLDER, "changelog.html");
+
+/**
+ * Generates changelog.md and changelog.html in the build folder.
+ */
+function generateChangelog(cb) {
+	Promise.resolve()
+		.then(createChangelog)
+		.then((changelog) => {
+			fs.mkdirSync(DEST_FOLDER, { recursive: true });
+			fs.writeFileSync(CHANGELOG_MARKDOWN, renderMarkdown(changelog));
+			fs.writeFileSync(CHANGELOG_HTML, renderHtml(changelog));
+
+			log(`Added: ${changelog.added.length}, removed: ${changelog.removed.length}, `
+				+ `updated: ${changelog.updated.length}, downgraded: ${changelog.downgraded.length}`);
+			log(`Saved ${path.normalize(CHANGELOG_MARKDOWN)} and ${path.normalize(CHANGELOG_HTML)}`);
+
+			cb();
+		})
+		.catch(cb);
+}
+
+module.exports = [
+	generateChangelog
+]
@@ -0,0 +1,63 @@
+const log      = require("fancy-log");
+const Promise  = require("bluebird");
+
+const { findDependencyProblems } = require("../../util/dependencies.js");
+const {
+	getMods,
+	MOD_REPOSITORY
+} = require("../common.js");
+
+/**
+ * Resolves project names for nicer reports.
+ *
+ * Falls back to project IDs for projects that can't be fetched,
+ * e.g. deleted projects, or missing ones while offline.
+ *
+ * @param {number[]} projectIDs
+ * @returns {Promise<(projectID: number) => string>}
+ */
+const getProjectNames = (projectIDs) => {
+	return Promise.map(projectIDs, (projectID) => {
+		return MOD_REPOSITORY.getMods([projectID])
+			.then(modInfos => modInfos[0].name)
+			.catch(() => null);
+	}, { concurrency: CONFIG.downloaderConcurrency }).then((names) => {
+		const nameMap = new Map(projectIDs.map((projectID, index) => [projectID, names[index]]));
+
+		return (projectID) => nameMap.get(projectID) ? `${nameMap.get(projectID)} (${projectID})` : `Project ${projectID}`;
+	});
+}
+
+/**
+ * Checks dependencies of every mod in manifest.json.
+ *
+ * Fails if a required dependency is missing (on either side the mod is installed on)
+ * or if an incompatible mod is present. Optional dependencies that are present are listed.
+ */
+function checkDependencies(cb) {
+	log("Fetching dependencies...");
+
+	getMods().then((mods) => {
+		const projectIDs = new Set(mods.map(mod => mod.file.projectID));
+		mods.forEach(mod => mod.fileInfo.dependencies.forEach(dep => projectIDs.add(dep.projectID)));
+
+		return getProjectNames([...projectIDs]).then((nameOf) => {
+			const { errors, optional } = findDependencyProblems(mods, nameOf);
+
+			optional.forEach(line => log(line));
+			errors.forEach(line => log.error(line));
+
+			log(`Checked ${mods.length} mods: ${errors.length} problems, ${optional.length} optional dependencies present.`);
+
+			if (errors.length > 0) {
+				return cb(`Found ${errors.length} dependency problems.`);
+			}
+
+			cb();
+		});
+	}).catch(cb);
+}
+
+module.exports = [
+	checkDependencies
+]
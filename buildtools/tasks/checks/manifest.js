@@ -0,0 +1,47 @@
+const log      = require("fancy-log");
+
+const { lintManifest } = require("../../util/manifest.js");
+const { getModLoader } = require("../server/loaders");
+
+/**
+ * Lints manifest.json and reports every problem with its JSON path.
+ *
+ * Fails if there are any errors. Runs before every build.
+ */
+function lintManifestTask(cb) {
+	const diagnostics = lintManifest(MODPACK_MANIFEST, {
+		sourceDirectory: CONFIG.buildSourceDirectory
+	});
+
+	/**
+	 * Server, .mrpack and MultiMC builds need a supported loader,
+	 * client builds don't.
+	 */
+	const minecraft = MODPACK_MANIFEST.minecraft;
+	if (minecraft && Array.isArray(minecraft.modLoaders) && !getModLoader()) {
+		diagnostics.push({
+			severity: "warning"
+			, path: "$.minecraft.modLoaders"
+			, message: "None of the mod loaders is supported by the build tools. Only client builds will work."
+		});
+	}
+
+	const errors = diagnostics.filter(x => x.severity == "error");
+	const warnings = diagnostics.filter(x => x.severity == "warning");
+
+	warnings.forEach(x => log.warn(`manifest.json: ${x.path}: ${x.message}`));
+	errors.forEach(x => log.error(`manifest.json: ${x.path}: ${x.message}`));
+
+	if (errors.length > 0) {
+		return cb(`manifest.json has ${errors.length} errors and ${warnings.length} warnings.`);
+	}
+
+	log(`manifest.json looks good${warnings.length > 0 ? ` (${warnings.length} warnings)` : ""}.`);
+	cb();
+}
+
+lintManifestTask.displayName = "lintManifest";
+
+module.exports = [
+	lintManifestTask
+]
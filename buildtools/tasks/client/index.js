@@ -2,16 +2,20 @@ const fs       = require("fs");
 const log      = require("fancy-log");
 const path     = require("path").posix;
 const zip      = require("gulp-zip");
-const Promise  = require("bluebird");
-
-const { retryRequest } = require("../../util/downloaders.js");
 
 const { src, dest } = require("gulp");
 
-const SRC_FOLDER         = CONFIG.buildSourceDirectory;
-const DEST_FOLDER        = CONFIG.buildDestinationDirectory;
-const CLIENT_DEST_FOLDER = path.join(DEST_FOLDER, "client");
-const TEMP_FOLDER        = path.join(DEST_FOLDER, "temp");
+const { reproducible } = require("../../util/archives.js");
+const { getPackContext } = require("../server/templates.js");
+const {
+	DEST_FOLDER,
+	CLIENT_DEST_FOLDER,
+	TEMP_FOLDER,
+	MOD_REPOSITORY,
+	getMods,
+	recordArchive,
+	srcOverrides
+} = require("../common.js");
 
 function createClientDirs(cb) {
 	const toCreate = [
@@ -29,8 +33,14 @@ function createClientDirs(cb) {
 
 /**
  * Copies the modpack manifest.
+ * 
+ * Variants write their own, with their manifest overlay applied.
  */
-function copyClientManifest() {
+function copyClientManifest(cb) {
+	if (LOCAL_STORAGE.variant) {
+		return fs.writeFile(path.join(CLIENT_DEST_FOLDER, "manifest.json"), JSON.stringify(MODPACK_MANIFEST, null, "\t"), cb);
+	}
+
 	return src("../manifest.json")
 		.pipe(dest(CLIENT_DEST_FOLDER));
 };
@@ -47,9 +57,8 @@ function copyClientLicense() {
  * Copies modpack overrides.
  */
 function copyClientOverrides() {
-	const basedir = path.join(SRC_FOLDER, OVERRIDES_FOLDER);
-	return src(CONFIG.copyOverridesClientGlobs.map(glob => path.join(basedir, glob)), { base: path.join(basedir, "..") })
-		.pipe(dest(CLIENT_DEST_FOLDER));
+	return srcOverrides("copyOverridesClientGlobs")
+		.pipe(dest(path.join(CLIENT_DEST_FOLDER, OVERRIDES_FOLDER)));
 };
 
 /**
@@ -59,25 +68,18 @@ function fetchModList(cb) {
 	log("Fetching mods...");
 	
 	/**
-	 * Fetch file descriptions for download urls and hashes
-	 * by mapping files to Promises.
+	 * Fetch project descriptions of mods meant for the client.
 	 */
-	Promise.map(MODPACK_MANIFEST.files, file => {
-		return retryRequest(
-			CONFIG.downloaderMaxRetries
-			, {
-				uri: `https://addons-ecs.forgesvc.net/api/v2/addon/${file.projectID}`
-				, json: true
-			}
-		)
-	}, { concurrency: CONFIG.downloaderConcurrency }).then(modInfos => {
+	getMods("client", false).then(mods => {
+		return MOD_REPOSITORY.getMods(mods.map(mod => mod.file.projectID));
+	}).then(modInfos => {
 		const output = [
 			"<ul>\r\n",
 			...modInfos
 				.sort((a, b) => a.id - b.id)
 				.map(modInfo => {
 					return `\t<li><a href="${modInfo.websiteUrl}">${modInfo.name} (by ${
-						modInfo.authors[0].name
+						modInfo.authors[0]
 					})</a></li>\r\n`
 				}),
 			"</ul>",
@@ -86,15 +88,19 @@ function fetchModList(cb) {
 		fs.writeFile(path.join(CLIENT_DEST_FOLDER, "modlist.html"), output.join(""), () => {
 			cb();
 		})
-	})
+	}).catch(cb);
 }
 
 /**
- * Zips the client directory.
+ * Zips the client directory, named after `CONFIG.archiveNameTemplate`.
  */
 function zipClient() {
+	const archive = getPackContext().clientArchive;
+	recordArchive("client", archive);
+
 	return src(path.join(CLIENT_DEST_FOLDER, "**"), { nodir: true, base: CLIENT_DEST_FOLDER })
-		.pipe(zip("client.zip"))
+		.pipe(reproducible())
+		.pipe(zip(`${archive}.zip`))
 		.pipe(dest(DEST_FOLDER));
 }
 
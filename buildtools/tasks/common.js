@@ -0,0 +1,258 @@
+const log      = require("fancy-log");
+const path     = require("path").posix;
+const nativePath = require("path");
+const through  = require("through2");
+
+const { src } = require("gulp");
+
+const { ConcurrentRetryDownloader } = require("../util/downloaders.js");
+const { DownloadCache } = require("../util/cache.js");
+const { MetadataStore } = require("../util/metadata.js");
+const sides    = require("../util/sides.js");
+const { createModRepository } = require("../util/modrepository.js");
+const { findOverridesFolder } = require("../util/variants.js");
+
+const DEST_FOLDER        = CONFIG.buildDestinationDirectory;
+const SERVER_DEST_FOLDER = path.join(DEST_FOLDER, "server");
+const CLIENT_DEST_FOLDER = path.join(DEST_FOLDER, "client");
+const TEMP_FOLDER        = path.join(DEST_FOLDER, "temp");
+
+const METADATA = new MetadataStore(CONFIG.metadataDirectory, {
+	offline      : CONFIG.offline
+	, maxRetries : CONFIG.downloaderMaxRetries
+});
+
+/**
+ * Initialize the file downloader.
+ */
+const DOWNLOADER = new ConcurrentRetryDownloader({
+	concurrency  : CONFIG.downloaderConcurrency
+	, checkHashes: CONFIG.downloaderCheckHashes
+	, maxRetries : CONFIG.downloaderMaxRetries
+	, cache      : CONFIG.downloaderUseCache ? new DownloadCache(CONFIG.downloaderCacheDirectory) : null
+	, offline    : CONFIG.offline
+})
+.on("start", (args) => {
+	log(`Downloading ${path.basename(args.fileDef.path)}...`)
+})
+.on("cached", (args) => {
+	log(`Found ${path.basename(args.fileDef.path)} in the cache`)
+})
+.on("complete", (args) => {
+	const numFiles = args.total > 1 ? `(${args.index + 1} / ${args.total}) ` : "";
+	log(numFiles + `Downloaded and saved ${path.basename(args.fileDef.path)}`)
+})
+.on("retry", (args) => {
+	log(`Failed to download ${path.basename(args.fileDef.path)}, retrying...`)
+});
+
+/**
+ * Wraps the `.download()` method of DOWNLOADER.
+ * 
+ * @param {FileDef[]} files Array of libraries to download.
+ * @param {(error?) => void} callback Optional callback to call once everything is downloaded.
+ */
+const downloadAndSaveFiles = (files, callback = null) => {
+	DOWNLOADER.download(files)
+		.then(() => {
+			if (callback) {
+				callback();
+			}
+		})
+		.catch((args) => {
+			if (callback) {
+				log();
+				if (args.fileDef && args.fileDef.path && args.error) {
+					log(`Failed to download ${path.basename(args.fileDef.path)}`)
+					callback(args.error);
+				} else {
+					callback(args);
+				}
+			}
+		});
+}
+
+const SIDE_RULES = {
+	clientOnly: CONFIG.clientOnlyMods
+	, serverOnly: CONFIG.serverOnlyMods
+};
+
+/**
+ * Initialize the mod repository client.
+ */
+const MOD_REPOSITORY = createModRepository(CONFIG.modRepository, {
+	url          : CONFIG.modRepositoryUrl
+	, apiKey     : CONFIG.modRepositoryApiKey
+	, cdnUrl     : CONFIG.modRepositoryCdnUrl
+	, metadata   : METADATA
+	, concurrency: CONFIG.downloaderConcurrency
+});
+
+/**
+ * @typedef {object} ModEntry
+ * @property {object} file Manifest file entry.
+ * @property {import("../util/modrepository.js").FileInfo} [fileInfo] File description.
+ * @property {"client"|"server"|"both"} side Side the mod belongs to.
+ */
+
+/**
+ * Resolves sides of every mod in manifest.json and
+ * returns mods belonging to the given side.
+ * 
+ * Warns if a known client-only project is about to be bundled into the server.
+ * 
+ * @param {"client"|"server"} [side] Target side. Returns every mod if omitted.
+ * @param {boolean} [withFileInfos=true] Fetch file descriptions.
+ * Fetched anyway if file name globs are used to resolve sides.
+ * @returns {Promise<ModEntry[]>}
+ */
+const getMods = (side, withFileInfos = true) => {
+	const files = MODPACK_MANIFEST.files;
+	const fetchFileInfos = withFileInfos || sides.needsFileNames(SIDE_RULES);
+
+	return (fetchFileInfos ? MOD_REPOSITORY.getFiles(files) : Promise.resolve([])).then(fileInfos => {
+		const mods = files
+			.map((file, index) => {
+				const fileInfo = fileInfos[index];
+
+				return {
+					file: file
+					, fileInfo: fileInfo
+					, side: sides.getSide(file, fileInfo && fileInfo.fileName, SIDE_RULES)
+				}
+			})
+			.filter(mod => !side || sides.isOnSide(mod.side, side));
+
+		if (side == "server" && CONFIG.warnClientOnlyMods) {
+			mods
+				.filter(mod => sides.KNOWN_CLIENT_ONLY_PROJECTS[mod.file.projectID])
+				.forEach(mod => {
+					log.warn(`${sides.KNOWN_CLIENT_ONLY_PROJECTS[mod.file.projectID]} (${mod.file.projectID}) is known to be client-only,`
+						+ ` but it's going to be bundled into the server.`);
+					log.warn(`Set "side": "client" in manifest.json or add it to clientOnlyMods to exclude it.`);
+				});
+		}
+
+		const excluded = files.length - mods.length;
+		if (excluded > 0) {
+			log(`Excluded ${excluded} mods not meant for the ${side}.`);
+		}
+
+		return mods;
+	});
+}
+
+/**
+ * @typedef {object} DownloadedMod
+ * @property {import("../util/modrepository.js").FileInfo} fileInfo File description.
+ * @property {"client"|"server"|"both"} side Side the mod belongs to.
+ * @property {string} path Local path of the downloaded file.
+ */
+
+/**
+ * Downloads mods according to manifest.json into the given folder and checks hashes.
+ * 
+ * @param {string} folder Destination folder.
+ * @param {"client"|"server"} [side] Only download mods meant for this side.
+ * @returns {Promise<DownloadedMod[]>}
+ */
+const downloadModFiles = (folder, side) => {
+	return getMods(side).then(entries => {
+		log(`Fetched ${entries.length} mods...`);
+
+		const mods = entries.map(entry => {
+			return {
+				fileInfo: entry.fileInfo
+				, side: entry.side
+				, path: path.join(folder, entry.fileInfo.fileName)
+			}
+		});
+
+		return new Promise((resolve, reject) => {
+			/**
+			 * Download and save mod files.
+			 * 
+			 * Pass mod fingerprints to compare against downloaded files.
+			 */
+			downloadAndSaveFiles(
+				mods.map(mod => {
+					return {
+						url: mod.fileInfo.downloadUrl
+						, path: mod.path
+						, hashes: [
+							{ id: "murmurhash", hashes: mod.fileInfo.fingerprint }
+						]
+					}
+				}), (error) => error ? reject(error) : resolve(mods)
+			);
+		});
+	});
+}
+
+/**
+ * Returns the archive name suffix of the variant being built,
+ * or an empty string outside of variant builds.
+ * 
+ * @returns {string}
+ */
+const getArchiveSuffix = () => {
+	return LOCAL_STORAGE.variant ? LOCAL_STORAGE.variant.archiveSuffix : "";
+}
+
+/**
+ * Remembers an archive written by the build, for build-manifest.json.
+ * 
+ * @param {"client"|"server"|"mrpack"|"multimc"} side
+ * @param {string} name Archive name without the extension.
+ */
+const recordArchive = (side, name) => {
+	LOCAL_STORAGE.archives = LOCAL_STORAGE.archives || [];
+	LOCAL_STORAGE.archives.push({
+		side: side
+		, variant: LOCAL_STORAGE.variant ? LOCAL_STORAGE.variant.name : ""
+		, name: name
+	});
+}
+
+/**
+ * Streams modpack overrides matching the given globs.
+ * 
+ * Extra override folders of the variant being built are streamed
+ * after the modpack ones, so they overwrite them in `dest`.
+ * Paths are relative to their override folder either way.
+ * 
+ * @param {"copyOverridesClientGlobs"|"copyOverridesServerGlobs"} globsKey
+ * Config key of the globs, variants may replace them.
+ */
+const srcOverrides = (globsKey) => {
+	const variant = LOCAL_STORAGE.variant || {};
+	const globs = variant[globsKey] || CONFIG[globsKey];
+
+	const folders = [
+		path.join(CONFIG.buildSourceDirectory, OVERRIDES_FOLDER),
+		...(variant.overrides || []).map(folder => path.join(CONFIG.buildSourceDirectory, folder))
+	].map(folder => nativePath.resolve(folder));
+
+	// Globs always take forward slashes.
+	return src(folders.flatMap(folder => globs.map(glob => path.join(folder.replace(/\\/g, "/"), glob))))
+		.pipe(through.obj((file, _, callback) => {
+			file.base = findOverridesFolder(folders, file.path);
+
+			callback(null, file);
+		}));
+}
+
+module.exports = {
+	DEST_FOLDER: DEST_FOLDER,
+	SERVER_DEST_FOLDER: SERVER_DEST_FOLDER,
+	CLIENT_DEST_FOLDER: CLIENT_DEST_FOLDER,
+	TEMP_FOLDER: TEMP_FOLDER,
+	METADATA: METADATA,
+	MOD_REPOSITORY: MOD_REPOSITORY,
+	downloadAndSaveFiles: downloadAndSaveFiles,
+	getMods: getMods,
+	downloadModFiles: downloadModFiles,
+	getArchiveSuffix: getArchiveSuffix,
+	recordArchive: recordArchive,
+	srcOverrides: srcOverrides
+}
@@ -0,0 +1,40 @@
+const log = require("fancy-log");
+
+const { hasFlag } = require("../../util/util.js");
+
+/**
+ * Keys never printed in full.
+ */
+const SECRET_KEYS = [
+	"modRepositoryApiKey"
+];
+
+/**
+ * Prints the resolved config and where each value came from.
+ *
+ * Pass `--json` to print it as JSON instead, e.g. to diff two profiles.
+ */
+function printConfig(cb) {
+	const printed = {};
+
+	Object.keys(CONFIG).forEach((key) => {
+		printed[key] = SECRET_KEYS.includes(key) && CONFIG[key] ? "<redacted>" : CONFIG[key];
+	});
+
+	if (hasFlag("json")) {
+		console.log(JSON.stringify({ config: printed, sources: CONFIG_SOURCES }, null, "\t"));
+		return cb();
+	}
+
+	const width = Math.max(...Object.keys(printed).map(key => key.length));
+
+	Object.keys(printed).forEach((key) => {
+		log(`${key.padEnd(width)} = ${JSON.stringify(printed[key])} (${CONFIG_SOURCES[key]})`);
+	});
+
+	cb();
+}
+
+module.exports = [
+	printConfig
+]
@@ -3,9 +3,94 @@ const fs = require("fs");
 const log = require("fancy-log");
 const path = require("path").posix;
 
-const CURSEFORGE_ENDPOINT = "https://minecraft.curseforge.com/";
+const { hasFlag } = require("../../util/util.js");
+const { render } = require("../../util/templates.js");
+const { getReleaseType } = require("../../util/release.js");
+const { getModLoader } = require("../server/loaders");
+const { getReleaseContext } = require("../server/templates.js");
 
+/**
+ * Can be overridden to test against a mock.
+ */
+const CURSEFORGE_ENDPOINT = (process.env.CURSEFORGE_UPLOAD_URL || "https://minecraft.curseforge.com/").replace(/\/?$/, "/");
+
+const DEST_FOLDER = global.CONFIG.buildDestinationDirectory;
+
+/**
+ * Maps changelog file extensions to CurseForge changelog types.
+ */
+const CHANGELOG_TYPES = {
+	".md": "markdown"
+	, ".html": "html"
+};
+
+/**
+ * Reads the changelog, if there's one.
+ *
+ * @returns {{ changelog: string, changelogType: string }}
+ */
+const getChangelog = () => {
+	const changelogPath = path.join(DEST_FOLDER, global.CONFIG.curseForgeChangelog);
+
+	if (!fs.existsSync(changelogPath)) {
+		log.warn(`${changelogPath} not found, uploading without a changelog.`);
+		log.warn("Run `gulp changelog` to generate one.");
+
+		return { changelog: "", changelogType: "text" };
+	}
+
+	log(`Using ${path.basename(changelogPath)} as the changelog.`);
+
+	return {
+		changelog: fs.readFileSync(changelogPath).toString()
+		, changelogType: global.CONFIG.curseForgeChangelogType
+			|| CHANGELOG_TYPES[path.extname(changelogPath).toLowerCase()]
+			|| "text"
+	};
+}
+
+/**
+ * Maps the Minecraft version and the mod loader to CurseForge game version IDs.
+ *
+ * @param {object[]} versionsManifest Response of `api/game/versions`.
+ * @returns {number[]}
+ *
+ * @throws {Error} Throws if the Minecraft version isn't known to CurseForge.
+ */
+const getGameVersions = (versionsManifest) => {
+	const minecraftVersion = global.MODPACK_MANIFEST.minecraft.version;
+
+	const version = versionsManifest.find(m => m.name == minecraftVersion);
+	if (!version) {
+		throw new Error(`Version ${minecraftVersion} not found on CurseForge.`);
+	}
+
+	const gameVersions = [ version.id ];
+
+	const modLoader = getModLoader();
+	if (modLoader) {
+		const loaderVersion = versionsManifest.find(m => m.slug == modLoader.backend.name);
+		if (loaderVersion) {
+			gameVersions.push(loaderVersion.id);
+		} else {
+			log.warn(`Mod loader ${modLoader.backend.name} not found on CurseForge.`);
+		}
+	}
+
+	return gameVersions;
+}
+
+/**
+ * Uploads the modpack to CurseForge.
+ *
+ * The first file of `CONFIG.curseForgeFiles` is the main file,
+ * the rest are uploaded as its additional files.
+ *
+ * Pass `--dry-run` to validate the version mapping and print the metadata without uploading.
+ */
 async function deployCurseForge(cb) {
+	const dryRun = hasFlag("dry-run");
+
 	if (!process.env.CURSEFORGE_API_TOKEN) {
 		return cb("Environmental variable CURSEFORGE_API_TOKEN is unset.");
 	}
@@ -14,14 +99,39 @@ async function deployCurseForge(cb) {
 		return cb("Environmental variable CURSEFORGE_PROJECT_ID is unset.");
 	}
 
-	if (!process.env.CLIENT_ARCHIVE) {
-		return cb("Environmental variable SERVER_ARCHIVE is unset.");
+	const context = getReleaseContext();
+
+	const files = global.CONFIG.curseForgeFiles
+		.map((entry) => {
+			return {
+				path: path.join(DEST_FOLDER, render(entry.file, context, "curseForgeFiles.file"))
+				, displayName: entry.displayName ? render(entry.displayName, context, "curseForgeFiles.displayName") : undefined
+				, optional: entry.optional
+			};
+		})
+		.filter((file) => {
+			if (file.optional && !fs.existsSync(file.path)) {
+				log(`Skipping ${file.path}, it doesn't exist.`);
+				return false;
+			}
+
+			return true;
+		});
+
+	const missing = files.filter(file => !fs.existsSync(file.path));
+	if (missing.length > 0) {
+		return cb(`Missing files: ${missing.map(file => file.path).join(", ")}`);
 	}
 
-	if (!process.env.SERVER_ARCHIVE) {
-		return cb("Environmental variable SERVER_ARCHIVE is unset.");
+	if (files.length == 0) {
+		return cb("Nothing to upload.");
 	}
 
+	const releaseType = getReleaseType({ tag: context.gitTag, branch: context.gitBranch }, {
+		override: global.CONFIG.releaseType
+		, branches: global.CONFIG.releaseBranchTypes
+	});
+
 	const tokenHeaders = {
 		"X-Api-Token": process.env.CURSEFORGE_API_TOKEN
 	};
@@ -34,53 +144,87 @@ async function deployCurseForge(cb) {
 		json: true
 	}) || [];
 
-	const version = versionsManifest
-		.find(m => m.name == global.MODPACK_MANIFEST.minecraft.version);
-
-	if (version) {
-		var clientFileID;
-
-		for (const file of [process.env.CLIENT_ARCHIVE, process.env.SERVER_ARCHIVE]) {
-			const options = {
-				uri: CURSEFORGE_ENDPOINT
-					+ `api/projects/${process.env.CURSEFORGE_PROJECT_ID}/upload-file`,
-				method: "POST",
-				headers: {
-					...tokenHeaders,
-					"Content-Type": "multipart/form-data"
-				},
-				formData: {
-					metadata: JSON.stringify({
-						changelog: "",
-						releaseType: "release",
-						parentFileID: clientFileID,
-						gameVersions: clientFileID ? undefined : [ version.id ],
-					}), 
-					file: fs.createReadStream(path.join(global.CONFIG.buildDestinationDirectory, `${file}.zip`)),
-				},
-				json: true
-			};
+	var gameVersions;
+	try {
+		gameVersions = getGameVersions(versionsManifest);
+	} catch (err) {
+		return cb(err.message);
+	}
+
+	const { changelog, changelogType } = getChangelog();
+
+	/**
+	 * Children inherit game versions and relations from the main file.
+	 */
+	const getMetadata = (file, parentFileID) => {
+		const metadata = {
+			changelog: changelog,
+			changelogType: changelogType,
+			displayName: file.displayName,
+			releaseType: releaseType
+		};
 
-			if (clientFileID) {
-				log(`Uploading ${file} to CurseForge... (child of ${clientFileID})`);
-			} else {
-				log(`Uploading ${file} to CurseForge...`);
+		if (parentFileID) {
+			metadata.parentFileID = parentFileID;
+		} else {
+			metadata.gameVersions = gameVersions;
+
+			if (global.CONFIG.curseForgeRelations.length > 0) {
+				metadata.relations = {
+					projects: global.CONFIG.curseForgeRelations
+				};
 			}
+		}
+
+		return metadata;
+	};
+
+	if (dryRun) {
+		log(`Dry run, nothing is going to be uploaded. (project ${process.env.CURSEFORGE_PROJECT_ID})`);
+
+		files.forEach((file, index) => {
+			const metadata = getMetadata(file, index > 0 ? "<main file ID>" : undefined);
+			metadata.changelog = `<${changelog.length} characters>`;
+
+			log(`${file.path} (${fs.statSync(file.path).size} bytes): ${JSON.stringify(metadata, null, "\t")}`);
+		});
+
+		return cb();
+	}
+
+	var clientFileID;
+
+	for (const file of files) {
+		const options = {
+			uri: CURSEFORGE_ENDPOINT
+				+ `api/projects/${process.env.CURSEFORGE_PROJECT_ID}/upload-file`,
+			method: "POST",
+			headers: {
+				...tokenHeaders,
+				"Content-Type": "multipart/form-data"
+			},
+			formData: {
+				metadata: JSON.stringify(getMetadata(file, clientFileID)),
+				file: fs.createReadStream(file.path),
+			},
+			json: true
+		};
+
+		if (clientFileID) {
+			log(`Uploading ${path.basename(file.path)} to CurseForge... (child of ${clientFileID})`);
+		} else {
+			log(`Uploading ${path.basename(file.path)} to CurseForge as ${releaseType}...`);
+		}
 
-			const response = await request(options);
+		const response = await request(options);
 
-			if (response && response.id) {
-				if (!clientFileID) {
-					clientFileID = response.id;
-				}
-			} else {
-				return cb(`Failed to upload ${file}: Invalid Response.`);
+		if (response && response.id) {
+			if (!clientFileID) {
+				clientFileID = response.id;
 			}
+		} else {
+			return cb(`Failed to upload ${path.basename(file.path)}: Invalid Response.`);
 		}
-	} else {
-		return cb(`Version ${
-			global.MODPACK_MANIFEST.minecraft.version
-		} not found on CurseForge.`)
 	}
 
 	cb();
@@ -0,0 +1,291 @@
+const { Octokit } = require("@octokit/rest");
+const fs = require("fs");
+const log = require("fancy-log");
+const path = require("path").posix;
+
+const { hasFlag } = require("../../util/util.js");
+const { render } = require("../../util/templates.js");
+const { getReleaseType } = require("../../util/release.js");
+const { getCIContext } = require("../../util/ci.js");
+const { getReleaseContext } = require("../server/templates.js");
+
+/**
+ * Set by GitHub Actions, can also be overridden to test against a mock.
+ */
+const GITHUB_ENDPOINT = (process.env.GITHUB_API_URL || "https://api.github.com").replace(/\/$/, "");
+
+const DEST_FOLDER = global.CONFIG.buildDestinationDirectory;
+
+/**
+ * Rolling pre-release of untagged builds.
+ */
+const PRERELEASE_TAG = "latest-dev-preview";
+
+const REGEX_SLUG = /^([^/]+)\/([^/]+)$/;
+
+/** @type {InstanceType<typeof Octokit>} */
+var octokit;
+
+/**
+ * Works out the repository to release to.
+ *
+ * Uses `githubRepository` if set, otherwise the repository being built.
+ *
+ * @param {import("../../util/ci.js").CIContext} ci
+ * @returns {{ owner: string, repo: string }|null}
+ */
+const getRepository = (ci) => {
+	const parsed = REGEX_SLUG.exec(global.CONFIG.githubRepository || ci.slug || "");
+
+	return parsed ? { owner: parsed[1], repo: parsed[2] } : null;
+}
+
+/**
+ * Resolves configured release assets.
+ *
+ * @param {Object.<string, any>} context Pack variables.
+ * @returns {string[]} Paths of the assets.
+ *
+ * @throws {Error} Throws if a mandatory asset is missing.
+ */
+const getAssets = (context) => {
+	const assets = [];
+
+	(global.CONFIG.githubReleaseAssets || []).forEach((asset, index) => {
+		const name = `githubReleaseAssets[${index}]`;
+		const file = path.join(DEST_FOLDER, render(asset.file, context, `${name}.file`));
+
+		if (!fs.existsSync(file)) {
+			if (asset.optional) {
+				return log(`${file} not found, skipping.`);
+			}
+
+			throw new Error(`${file} not found. Did you build the modpack?`);
+		}
+
+		assets.push(file);
+	});
+
+	return assets;
+}
+
+/**
+ * Reads the release notes, if there are any.
+ *
+ * @returns {string}
+ */
+const getReleaseBody = () => {
+	const bodyPath = path.join(DEST_FOLDER, global.CONFIG.githubReleaseBody || "");
+
+	if (!global.CONFIG.githubReleaseBody || !fs.existsSync(bodyPath)) {
+		log.warn(`${bodyPath} not found, releasing without notes.`);
+		return "";
+	}
+
+	log(`Using ${path.basename(bodyPath)} as the release notes.`);
+	return fs.readFileSync(bodyPath).toString();
+}
+
+/**
+ * Works out the release to create.
+ *
+ * Tagged builds get a release of their own, untagged builds
+ * replace the rolling pre-release.
+ */
+function prepareGitHubRelease(cb) {
+	const dryRun = hasFlag("dry-run");
+
+	if (!process.env.GITHUB_TOKEN && !dryRun) {
+		return cb("Environmental variable GITHUB_TOKEN is unset.");
+	}
+
+	const ci = getCIContext(global.CONFIG.buildSourceDirectory);
+	if (ci.pullRequest) {
+		return cb("Refusing to release a pull request build.");
+	}
+
+	const repository = getRepository(ci);
+	if (!repository) {
+		return cb("No/malformed GitHub repository slug provided. Set githubRepository to owner/repo.");
+	}
+
+	const context = getReleaseContext();
+	const tagged = !!context.gitTag && context.gitTag != PRERELEASE_TAG;
+
+	const releaseType = getReleaseType({ tag: tagged ? context.gitTag : null, branch: context.gitBranch }, {
+		override: global.CONFIG.releaseType
+		, branches: global.CONFIG.releaseBranchTypes
+	});
+
+	const release = {
+		owner: repository.owner
+		, repo: repository.repo
+		, tag_name: tagged ? context.gitTag : PRERELEASE_TAG
+		, target_commitish: context.gitCommit
+		, name: render(global.CONFIG.githubReleaseName, context, "githubReleaseName")
+		, body: getReleaseBody()
+		, prerelease: !tagged || releaseType != "release"
+	};
+
+	if (!tagged) {
+		release.name += ` (${context.gitShortCommit})`;
+	}
+
+	LOCAL_STORAGE.githubRelease = {
+		release: release
+		, tagged: tagged
+		, assets: getAssets(context)
+	};
+
+	log(`Releasing to ${repository.owner}/${repository.repo} as ${release.tag_name}${release.prerelease ? " (pre-release)" : ""}.`);
+
+	if (dryRun) {
+		log("Dry run, nothing is going to be released.");
+		log(`API: ${GITHUB_ENDPOINT}`);
+		log(`Release: ${JSON.stringify({ ...release, body: `<${release.body.length} characters>` }, null, "\t")}`);
+		LOCAL_STORAGE.githubRelease.assets.forEach((file) => {
+			log(`Asset: ${file} (${fs.statSync(file).size} bytes)`);
+		});
+
+		LOCAL_STORAGE.githubRelease.dryRun = true;
+		return cb();
+	}
+
+	octokit = new Octokit({
+		auth: process.env.GITHUB_TOKEN
+		, baseUrl: GITHUB_ENDPOINT
+	});
+
+	cb();
+}
+
+/**
+ * Removes the rolling pre-release and its tag, so it can be recreated
+ * pointing at the current commit.
+ *
+ * Does nothing if the current build is tagged.
+ */
+async function removeGitHubPrerelease(cb) {
+	const { release, tagged, dryRun } = LOCAL_STORAGE.githubRelease;
+	if (tagged || dryRun) {
+		return cb();
+	}
+
+	const repo = { owner: release.owner, repo: release.repo };
+
+	var prerelease = null;
+	try {
+		prerelease = (await octokit.repos.getReleaseByTag({ ...repo, tag: PRERELEASE_TAG })).data;
+	} catch (err) {
+		if (err.status != 404) {
+			throw err;
+		}
+	}
+
+	if (prerelease) {
+		log(`Removing pre-release with tag ${PRERELEASE_TAG}...`);
+		await octokit.repos.deleteRelease({ ...repo, release_id: prerelease.id });
+	}
+
+	try {
+		await octokit.git.deleteRef({ ...repo, ref: `tags/${PRERELEASE_TAG}` });
+		log(`Removed pre-release tag ${PRERELEASE_TAG}.`);
+	} catch (err) {
+		if (err.status != 404 && err.status != 422) {
+			throw err;
+		}
+	}
+
+	cb();
+}
+
+/**
+ * Creates the release, or updates it if the tag was already released.
+ */
+async function createGitHubRelease(cb) {
+	const { release, dryRun } = LOCAL_STORAGE.githubRelease;
+	if (dryRun) {
+		return cb();
+	}
+
+	const repo = { owner: release.owner, repo: release.repo };
+
+	var existing = null;
+	try {
+		existing = (await octokit.repos.getReleaseByTag({ ...repo, tag: release.tag_name })).data;
+	} catch (err) {
+		if (err.status != 404) {
+			throw err;
+		}
+	}
+
+	var response;
+	if (existing) {
+		log(`Updating release ${existing.id} of ${release.tag_name}...`);
+		response = await octokit.repos.updateRelease({
+			...repo
+			, release_id: existing.id
+			, name: release.name
+			, body: release.body
+			, prerelease: release.prerelease
+		});
+	} else {
+		log(`Creating release of ${release.tag_name}...`);
+		response = await octokit.repos.createRelease(release);
+	}
+
+	LOCAL_STORAGE.githubRelease.created = response.data;
+
+	log(`Release: ${response.data.html_url}`);
+	cb();
+}
+
+/**
+ * Uploads assets, replacing any existing ones with the same name.
+ */
+async function uploadGitHubAssets(cb) {
+	const { release, assets, created, dryRun } = LOCAL_STORAGE.githubRelease;
+	if (dryRun) {
+		return cb();
+	}
+
+	const repo = { owner: release.owner, repo: release.repo };
+
+	const existing = (await octokit.repos.listAssetsForRelease({ ...repo, release_id: created.id })).data;
+
+	for (const file of assets) {
+		const name = path.basename(file);
+
+		const old = existing.find(asset => asset.name == name);
+		if (old) {
+			log(`Replacing asset ${name}...`);
+			await octokit.repos.deleteReleaseAsset({ ...repo, asset_id: old.id });
+		}
+
+		const data = fs.readFileSync(file);
+
+		log(`Uploading ${name} (${data.length} bytes)...`);
+
+		// upload_url points at the upload host and already templates the name.
+		await octokit.request({
+			method: "POST"
+			, url: created.upload_url
+			, name: name
+			, data: data
+			, headers: {
+				"content-type": "application/octet-stream"
+				, "content-length": data.length
+			}
+		});
+	}
+
+	log(`Uploaded ${assets.length} asset(s).`);
+	cb();
+}
+
+module.exports = [
+	prepareGitHubRelease,
+	removeGitHubPrerelease,
+	createGitHubRelease,
+	uploadGitHubAssets
+]
@@ -0,0 +1,149 @@
+const request = require("request-promise");
+const fs = require("fs");
+const log = require("fancy-log");
+const path = require("path").posix;
+
+const { hasFlag } = require("../../util/util.js");
+const { getReleaseType } = require("../../util/release.js");
+const { MODRINTH_ENDPOINT } = require("../../util/modrinth.js");
+const { getModLoader } = require("../server/loaders");
+const { getReleaseContext } = require("../server/templates.js");
+
+const DEST_FOLDER = global.CONFIG.buildDestinationDirectory;
+
+/**
+ * Generated by `gulp changelog`.
+ */
+const CHANGELOG_PATH = path.join(DEST_FOLDER, "changelog.md");
+
+/**
+ * Maps loader backend names to Modrinth loaders.
+ */
+const MODRINTH_VERSION_LOADERS = {
+	forge: "forge"
+	, fabric: "fabric"
+};
+
+async function deployModrinth(cb) {
+	const dryRun = hasFlag("dry-run");
+
+	if (!process.env.MODRINTH_TOKEN && !dryRun) {
+		return cb("Environmental variable MODRINTH_TOKEN is unset.");
+	}
+
+	if (!process.env.MODRINTH_PROJECT_ID) {
+		return cb("Environmental variable MODRINTH_PROJECT_ID is unset.");
+	}
+
+	const modLoader = getModLoader();
+	if (!modLoader || !MODRINTH_VERSION_LOADERS[modLoader.backend.name]) {
+		return cb("No mod loader supported by Modrinth found in manifest.json.");
+	}
+
+	const context = getReleaseContext();
+
+	/**
+	 * Modrinth wants the .mrpack as the primary file of modpacks.
+	 */
+	const files = [];
+	const mrpackArchive = path.join(DEST_FOLDER, `${context.mrpackArchive}.mrpack`);
+	if (fs.existsSync(mrpackArchive)) {
+		files.push(mrpackArchive);
+	}
+
+	const clientArchive = path.join(DEST_FOLDER, `${context.clientArchive}.zip`);
+	if (!fs.existsSync(clientArchive)) {
+		return cb(`${clientArchive} not found. Did you build the client?`);
+	}
+
+	files.push(clientArchive);
+
+	var changelog = "";
+	if (fs.existsSync(CHANGELOG_PATH)) {
+		log(`Using ${path.basename(CHANGELOG_PATH)} as the changelog.`);
+		changelog = fs.readFileSync(CHANGELOG_PATH).toString();
+	}
+
+	const releaseType = getReleaseType({ tag: context.gitTag, branch: context.gitBranch }, {
+		override: global.CONFIG.releaseType
+		, branches: global.CONFIG.releaseBranchTypes
+	});
+
+	const data = {
+		project_id: process.env.MODRINTH_PROJECT_ID,
+		name: `${global.MODPACK_MANIFEST.name} ${global.MODPACK_MANIFEST.version}`,
+		version_number: global.MODPACK_MANIFEST.version,
+		changelog: changelog,
+		dependencies: [],
+		game_versions: [ global.MODPACK_MANIFEST.minecraft.version ],
+		version_type: releaseType,
+		loaders: [ MODRINTH_VERSION_LOADERS[modLoader.backend.name] ],
+		featured: false,
+		file_parts: files.map((_, index) => `file${index}`),
+		primary_file: "file0"
+	};
+
+	const headers = {
+		"Authorization": process.env.MODRINTH_TOKEN,
+		"User-Agent": `${global.MODPACK_MANIFEST.name}/${global.MODPACK_MANIFEST.version} (Modpack-BuildTools)`
+	};
+
+	if (dryRun) {
+		log("Dry run, nothing is going to be uploaded.");
+		log(`POST ${MODRINTH_ENDPOINT}v2/version`);
+		log(`Authorization: ${process.env.MODRINTH_TOKEN ? "<redacted>" : "<unset>"}`);
+		log(`User-Agent: ${headers["User-Agent"]}`);
+		log(`data: ${JSON.stringify(data, null, "\t")}`);
+		files.forEach((file, index) => {
+			log(`file${index}: ${file} (${fs.statSync(file).size} bytes)`);
+		});
+
+		return cb();
+	}
+
+	log("Fetching Modrinth game versions...");
+	const gameVersions = await request({
+		uri: MODRINTH_ENDPOINT + "v2/tag/game_version",
+		headers: headers,
+		method: "GET",
+		json: true
+	}) || [];
+
+	if (!gameVersions.find(v => v.version == global.MODPACK_MANIFEST.minecraft.version)) {
+		return cb(`Version ${
+			global.MODPACK_MANIFEST.minecraft.version
+		} not found on Modrinth.`);
+	}
+
+	const formData = {
+		data: JSON.stringify(data)
+	};
+
+	files.forEach((file, index) => {
+		formData[`file${index}`] = {
+			value: fs.createReadStream(file),
+			options: { filename: path.basename(file) }
+		};
+	});
+
+	log(`Uploading ${files.map(file => path.basename(file)).join(", ")} to Modrinth...`);
+
+	const response = await request({
+		uri: MODRINTH_ENDPOINT + "v2/version",
+		method: "POST",
+		headers: headers,
+		formData: formData,
+		json: true
+	});
+
+	if (!response || !response.id) {
+		return cb("Failed to upload to Modrinth: Invalid Response.");
+	}
+
+	log(`Uploaded version ${response.id}.`);
+	cb();
+}
+
+module.exports = [
+	deployModrinth
+]
@@ -0,0 +1,61 @@
+const log      = require("fancy-log");
+const path     = require("path").posix;
+
+const { src, dest } = require("gulp");
+
+const { compareVersions } = require("../../util/modinfo.js");
+const { render, renderStream } = require("../../util/templates.js");
+const { getTemplateContext } = require("../server/templates.js");
+const { DEST_FOLDER } = require("../common.js");
+
+const SRC_FOLDER    = CONFIG.buildSourceDirectory;
+const DOCKER_FOLDER = path.join(SRC_FOLDER, "docker");
+
+/**
+ * Minimum Java versions, newest Minecraft versions first.
+ */
+const JAVA_VERSIONS = [
+	{ minecraft: "1.20.5", java: 21 },
+	{ minecraft: "1.18", java: 17 },
+	{ minecraft: "1.17", java: 16 },
+	{ minecraft: "0", java: 8 }
+];
+
+/**
+ * Picks the Java version to run the server with.
+ *
+ * @param {string} minecraftVersion
+ * @returns {number}
+ */
+const getJavaVersion = (minecraftVersion) => {
+	if (CONFIG.dockerJavaVersion) {
+		return CONFIG.dockerJavaVersion;
+	}
+
+	return JAVA_VERSIONS.find(x => compareVersions(minecraftVersion, x.minecraft) >= 0).java;
+}
+
+/**
+ * Renders the Dockerfile, the entrypoint and .dockerignore into the build folder,
+ * making it a Docker build context for the server folder.
+ *
+ * Uses the same variables as launch scripts, plus
+ * javaVersion, baseImage and volumes.
+ */
+function createDockerContext() {
+	const context = getTemplateContext();
+
+	context.javaVersion = getJavaVersion(MODPACK_MANIFEST.minecraft.version);
+	context.baseImage = render(CONFIG.dockerBaseImage, context, "dockerBaseImage");
+	context.volumes = CONFIG.dockerVolumes;
+
+	log(`Using ${context.baseImage} (Java ${context.javaVersion})`);
+
+	return src(path.join(DOCKER_FOLDER, "**"), { dot: true, base: DOCKER_FOLDER })
+		.pipe(renderStream(context))
+		.pipe(dest(DEST_FOLDER, { mode: file => file.basename.endsWith(".sh") ? 0o755 : file.stat.mode }));
+}
+
+module.exports = [
+	createDockerContext
+]
@@ -0,0 +1,227 @@
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+const zip      = require("gulp-zip");
+
+const { src, dest } = require("gulp");
+
+const { reproducible } = require("../../util/archives.js");
+const { sha1, sha512 } = require("../../util/hashes.js");
+const sides    = require("../../util/sides.js");
+const { getDownloadUrls } = require("../../util/modrinth.js");
+const { getModLoader } = require("../server/loaders");
+const { getPackContext } = require("../server/templates.js");
+const {
+	DEST_FOLDER,
+	TEMP_FOLDER,
+	METADATA,
+	downloadModFiles,
+	recordArchive
+} = require("../common.js");
+
+const SRC_FOLDER         = CONFIG.buildSourceDirectory;
+const MRPACK_DEST_FOLDER = path.join(DEST_FOLDER, "mrpack");
+const MRPACK_MODS_FOLDER = path.join(TEMP_FOLDER, "mrpack-mods");
+
+/**
+ * Maps loader backend names to Modrinth dependency ids.
+ */
+const MODRINTH_LOADERS = {
+	forge: "forge"
+	, fabric: "fabric-loader"
+};
+
+function createMrpackDirs(cb) {
+	const toCreate = [
+		MRPACK_DEST_FOLDER,
+		MRPACK_MODS_FOLDER
+	];
+
+	toCreate.forEach((dir) => {
+		log(`Creating folder ${path.normalize(dir)}`);
+		fs.mkdirSync(dir, { recursive: true })
+	});
+
+	cb();
+}
+
+/**
+ * Downloads mods to compute their hashes and sizes.
+ */
+function downloadMrpackMods(cb) {
+	log("Fetching mods...");
+
+	downloadModFiles(MRPACK_MODS_FOLDER)
+		.then((mods) => {
+			LOCAL_STORAGE.mrpackMods = mods.map(mod => {
+				const buffer = fs.readFileSync(mod.path);
+
+				return {
+					path: mod.path
+					, fileName: mod.fileInfo.fileName
+					, side: mod.side
+					, sha1: sha1(buffer)
+					, sha512: sha512(buffer)
+					, fileSize: buffer.length
+				};
+			});
+
+			cb();
+		})
+		.catch(cb);
+}
+
+/**
+ * Works out where launchers download mods from.
+ *
+ * Modrinth only accepts downloads from its own CDN and a few other hosts,
+ * so mods are looked up on Modrinth by hash. Mods it doesn't have are
+ * bundled into the overrides of their side instead.
+ */
+function resolveMrpackDownloads(cb) {
+	const mods = LOCAL_STORAGE.mrpackMods || [];
+	const userAgent = `${MODPACK_MANIFEST.name}/${MODPACK_MANIFEST.version} (Modpack-BuildTools)`;
+
+	getDownloadUrls(METADATA, mods.map(mod => mod.sha1), userAgent)
+		.then((urls) => {
+			LOCAL_STORAGE.mrpackFiles = mods
+				.filter(mod => urls[mod.sha1])
+				.map(mod => {
+					return {
+						path: `mods/${mod.fileName}`
+						, hashes: {
+							sha1: mod.sha1
+							, sha512: mod.sha512
+						}
+						, env: {
+							client: sides.isOnSide(mod.side, "client") ? "required" : "unsupported"
+							, server: sides.isOnSide(mod.side, "server") ? "required" : "unsupported"
+						}
+						, downloads: [ urls[mod.sha1] ]
+						, fileSize: mod.fileSize
+					};
+				});
+
+			const bundled = mods.filter(mod => !urls[mod.sha1]);
+			bundled.forEach((mod) => {
+				const client = sides.isOnSide(mod.side, "client");
+				const server = sides.isOnSide(mod.side, "server");
+				const folder = client && server ? "overrides" : client ? "client-overrides" : "server-overrides";
+				const target = path.join(MRPACK_DEST_FOLDER, folder, "mods", mod.fileName);
+
+				fs.mkdirSync(path.dirname(target), { recursive: true });
+				fs.copyFileSync(mod.path, target);
+			});
+
+			if (bundled.length > 0) {
+				log.warn(`${bundled.length} mods aren't on Modrinth, bundling them into overrides. Make sure their licenses allow it:`);
+				bundled.forEach(mod => log.warn(`  - ${mod.fileName}`));
+			}
+
+			log(`${LOCAL_STORAGE.mrpackFiles.length} mods are downloaded from Modrinth.`);
+			cb();
+		})
+		.catch(cb);
+}
+
+/**
+ * Lists files matching given globs.
+ *
+ * @param {string[]} globs
+ * @param {string} base
+ * @returns {Promise<string[]>} Paths relative to base.
+ */
+const listFiles = (globs, base) => {
+	return new Promise((resolve, reject) => {
+		const files = [];
+
+		src(globs.map(glob => path.join(base, glob)), { base: base, read: false, nodir: true, allowEmpty: true })
+			.on("data", (file) => files.push(file.relative.replace(/\\/g, "/")))
+			.on("error", reject)
+			.on("end", () => resolve(files));
+	});
+}
+
+/**
+ * Copies modpack overrides.
+ *
+ * Files copied into both the client and the server go into `overrides`,
+ * the rest go into `client-overrides` and `server-overrides` respectively.
+ */
+function copyMrpackOverrides(cb) {
+	const basedir = path.join(SRC_FOLDER, OVERRIDES_FOLDER);
+
+	Promise.all([
+		listFiles(CONFIG.copyOverridesClientGlobs, basedir),
+		listFiles(CONFIG.copyOverridesServerGlobs, basedir)
+	]).then(([clientFiles, serverFiles]) => {
+		const client = new Set(clientFiles);
+		const server = new Set(serverFiles);
+
+		const copy = (file, folder) => {
+			const target = path.join(MRPACK_DEST_FOLDER, folder, file);
+
+			fs.mkdirSync(path.dirname(target), { recursive: true });
+			fs.copyFileSync(path.join(basedir, file), target);
+		};
+
+		client.forEach(file => copy(file, server.has(file) ? "overrides" : "client-overrides"));
+		server.forEach(file => {
+			if (!client.has(file)) {
+				copy(file, "server-overrides");
+			}
+		});
+
+		cb();
+	}).catch(cb);
+}
+
+/**
+ * Writes modrinth.index.json.
+ */
+function writeMrpackIndex(cb) {
+	const modLoader = getModLoader();
+	if (!modLoader || !MODRINTH_LOADERS[modLoader.backend.name]) {
+		return cb("No mod loader supported by Modrinth found in manifest.json.");
+	}
+
+	const index = {
+		formatVersion: 1
+		, game: "minecraft"
+		, versionId: MODPACK_MANIFEST.version
+		, name: MODPACK_MANIFEST.name
+		, files: LOCAL_STORAGE.mrpackFiles || []
+		, dependencies: {
+			minecraft: MODPACK_MANIFEST.minecraft.version
+			, [MODRINTH_LOADERS[modLoader.backend.name]]: modLoader.version
+		}
+	};
+
+	fs.writeFile(
+		path.join(MRPACK_DEST_FOLDER, "modrinth.index.json")
+		, JSON.stringify(index, null, "\t")
+		, cb
+	);
+}
+
+/**
+ * Zips the .mrpack directory, named after `CONFIG.archiveNameTemplate`.
+ */
+function zipMrpack() {
+	const archive = getPackContext().mrpackArchive;
+	recordArchive("mrpack", archive);
+
+	return src(path.join(MRPACK_DEST_FOLDER, "**"), { nodir: true, dot: true, base: MRPACK_DEST_FOLDER })
+		.pipe(reproducible())
+		.pipe(zip(`${archive}.mrpack`))
+		.pipe(dest(DEST_FOLDER));
+}
+
+module.exports = [
+	createMrpackDirs,
+	downloadMrpackMods,
+	resolveMrpackDownloads,
+	copyMrpackOverrides,
+	writeMrpackIndex,
+	zipMrpack
+]
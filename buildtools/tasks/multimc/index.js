@@ -0,0 +1,119 @@
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+const zip      = require("gulp-zip");
+
+const { src, dest } = require("gulp");
+
+const { reproducible } = require("../../util/archives.js");
+const { getModLoader } = require("../server/loaders");
+const { getPackContext } = require("../server/templates.js");
+const {
+	DEST_FOLDER,
+	downloadModFiles,
+	recordArchive
+} = require("../common.js");
+
+const SRC_FOLDER          = CONFIG.buildSourceDirectory;
+const MULTIMC_DEST_FOLDER = path.join(DEST_FOLDER, "multimc");
+const MINECRAFT_FOLDER    = path.join(MULTIMC_DEST_FOLDER, ".minecraft");
+
+/**
+ * Maps loader backends to MultiMC components.
+ *
+ * @type {Object.<string, (version: string) => object[]>}
+ */
+const MULTIMC_LOADER_COMPONENTS = {
+	forge: (version) => [
+		{ uid: "net.minecraftforge", version: version }
+	]
+	, fabric: (version) => [
+		{ uid: "net.fabricmc.intermediary", version: MODPACK_MANIFEST.minecraft.version },
+		{ uid: "net.fabricmc.fabric-loader", version: version }
+	]
+};
+
+function createMultiMCDirs(cb) {
+	const toCreate = [
+		MULTIMC_DEST_FOLDER,
+		MINECRAFT_FOLDER
+	];
+
+	toCreate.forEach((dir) => {
+		log(`Creating folder ${path.normalize(dir)}`);
+		fs.mkdirSync(dir, { recursive: true })
+	});
+
+	cb();
+}
+
+/**
+ * Writes instance.cfg and mmc-pack.json.
+ */
+function writeMultiMCInstance(cb) {
+	const modLoader = getModLoader();
+	if (!modLoader || !MULTIMC_LOADER_COMPONENTS[modLoader.backend.name]) {
+		return cb("No mod loader supported by MultiMC found in manifest.json.");
+	}
+
+	const pack = {
+		formatVersion: 1
+		, components: [
+			{ uid: "net.minecraft", version: MODPACK_MANIFEST.minecraft.version, important: true },
+			...MULTIMC_LOADER_COMPONENTS[modLoader.backend.name](modLoader.version)
+		]
+	};
+
+	const instance = [
+		"InstanceType=OneSix",
+		`name=${MODPACK_MANIFEST.name} ${MODPACK_MANIFEST.version}`,
+		""
+	];
+
+	fs.writeFileSync(path.join(MULTIMC_DEST_FOLDER, "mmc-pack.json"), JSON.stringify(pack, null, "\t"));
+	fs.writeFileSync(path.join(MULTIMC_DEST_FOLDER, "instance.cfg"), instance.join("\n"));
+
+	cb();
+}
+
+/**
+ * Downloads mods into .minecraft/mods.
+ */
+function downloadMultiMCMods(cb) {
+	log("Fetching mods...");
+
+	downloadModFiles(path.join(MINECRAFT_FOLDER, "mods"), "client")
+		.then(() => cb())
+		.catch(cb);
+}
+
+/**
+ * Copies modpack overrides into .minecraft.
+ */
+function copyMultiMCOverrides() {
+	const basedir = path.join(SRC_FOLDER, OVERRIDES_FOLDER);
+	return src(CONFIG.copyOverridesClientGlobs.map(glob => path.join(basedir, glob)), { base: basedir })
+		.pipe(dest(MINECRAFT_FOLDER));
+}
+
+/**
+ * Zips the instance directory so it can be imported directly,
+ * named after `CONFIG.archiveNameTemplate`.
+ */
+function zipMultiMC() {
+	const archive = getPackContext().multimcArchive;
+	recordArchive("multimc", archive);
+
+	return src(path.join(MULTIMC_DEST_FOLDER, "**"), { nodir: true, dot: true, base: MULTIMC_DEST_FOLDER })
+		.pipe(reproducible())
+		.pipe(zip(`${archive}.zip`))
+		.pipe(dest(DEST_FOLDER));
+}
+
+module.exports = [
+	createMultiMCDirs,
+	writeMultiMCInstance,
+	downloadMultiMCMods,
+	copyMultiMCOverrides,
+	zipMultiMC
+]
@@ -0,0 +1,241 @@
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+
+const { getArgument, hasFlag } = require("../../util/util.js");
+const { bumpVersion, replaceVersion } = require("../../util/version.js");
+const { render } = require("../../util/templates.js");
+const { renderMarkdown } = require("../../util/changelog.js");
+const { git, getLatestTag } = require("../../util/git.js");
+const { IGNORED_TAGS, createChangelog } = require("../changelog/changelog.js");
+
+const SRC_FOLDER = CONFIG.buildSourceDirectory;
+
+/**
+ * Reads a source file, relative to the source directory.
+ */
+const readSource = (file) => fs.readFileSync(path.join(SRC_FOLDER, file)).toString();
+
+/**
+ * Writes a source file, or only logs it on dry runs.
+ */
+const writeSource = (file, contents) => {
+	if (LOCAL_STORAGE.release.dryRun) {
+		return log(`Would write ${file}.`);
+	}
+
+	fs.writeFileSync(path.join(SRC_FOLDER, file), contents);
+	LOCAL_STORAGE.release.files.push(file);
+}
+
+/**
+ * Works out the new version and makes sure the release can go through,
+ * so it doesn't fail halfway.
+ *
+ * `--bump` takes `major`, `minor`, `patch` or a version.
+ * `--tag` implies `--commit`.
+ */
+function prepareRelease(cb) {
+	const bump = getArgument("bump");
+	if (!bump) {
+		return cb("Pass --bump major|minor|patch|<version>.");
+	}
+
+	const previousVersion = MODPACK_MANIFEST.version;
+
+	var version;
+	try {
+		version = bumpVersion(previousVersion, bump);
+	} catch (err) {
+		return cb(err.message);
+	}
+
+	if (version == previousVersion) {
+		return cb(`manifest.json is already at version ${version}.`);
+	}
+
+	const context = {
+		packName: MODPACK_MANIFEST.name
+		, previousVersion: previousVersion
+		, version: version
+	};
+
+	const tag = hasFlag("tag");
+	const commit = tag || hasFlag("commit");
+
+	LOCAL_STORAGE.release = {
+		previousVersion: previousVersion
+		, version: version
+		, tagName: tag ? render(CONFIG.releaseTagTemplate, context, "releaseTagTemplate") : null
+		, commitMessage: commit ? render(CONFIG.releaseCommitMessage, context, "releaseCommitMessage") : null
+		, dryRun: hasFlag("dry-run")
+		, files: []
+	};
+
+	const missing = (CONFIG.releaseVersionFiles || [])
+		.map(entry => path.join(OVERRIDES_FOLDER, entry.file))
+		.filter(file => !fs.existsSync(path.join(SRC_FOLDER, file)));
+
+	if (missing.length > 0) {
+		return cb(`releaseVersionFiles: ${missing.join(", ")} not found.`);
+	}
+
+	if (commit) {
+		try {
+			if (git(["status", "--porcelain"], SRC_FOLDER)) {
+				return cb("The working tree has uncommitted changes. Commit or stash them first.");
+			}
+		} catch (err) {
+			return cb(`Can't commit the release: ${err.message}`);
+		}
+	}
+
+	if (tag) {
+		try {
+			git(["rev-parse", "--quiet", "--verify", `refs/tags/${LOCAL_STORAGE.release.tagName}`], SRC_FOLDER);
+			return cb(`Tag ${LOCAL_STORAGE.release.tagName} already exists.`);
+		} catch (err) {
+			// No such tag.
+		}
+	}
+
+	log(`Releasing ${MODPACK_MANIFEST.name} ${previousVersion} → ${version}...`);
+
+	if (LOCAL_STORAGE.release.dryRun) {
+		log("Dry run, nothing is going to be written or committed.");
+	}
+
+	cb();
+}
+
+/**
+ * Renders the changelog section of the new version,
+ * before touching any files in case the mod repository is unreachable.
+ */
+function createReleaseNotes(cb) {
+	if (!CONFIG.releaseChangelogFile) {
+		return cb();
+	}
+
+	const { version } = LOCAL_STORAGE.release;
+	const title = `${version} - ${new Date().toISOString().substring(0, 10)}`;
+
+	// The last release may be tagged at HEAD, unlike with `gulp changelog`.
+	createChangelog(getLatestTag(SRC_FOLDER, IGNORED_TAGS))
+		.then((changelog) => {
+			LOCAL_STORAGE.release.notes = renderMarkdown({ ...changelog, title: title });
+			cb();
+		})
+		.catch((err) => cb(err.message || err));
+}
+
+/**
+ * Sets the version in manifest.json, keeping its formatting.
+ */
+function bumpManifestVersion(cb) {
+	const raw = readSource("manifest.json");
+	const indent = (/^[ \t]+(?=")/m.exec(raw) || ["\t"])[0];
+
+	const manifest = JSON.parse(raw);
+	manifest.version = LOCAL_STORAGE.release.version;
+
+	writeSource("manifest.json", JSON.stringify(manifest, null, indent) + (raw.endsWith("\n") ? "\n" : ""));
+
+	if (!LOCAL_STORAGE.release.dryRun) {
+		MODPACK_MANIFEST.version = manifest.version;
+	}
+
+	cb();
+}
+
+/**
+ * Replaces the old version with the new one in `releaseVersionFiles`.
+ */
+function bumpVersionFiles(cb) {
+	const { previousVersion, version } = LOCAL_STORAGE.release;
+
+	for (const [index, entry] of (CONFIG.releaseVersionFiles || []).entries()) {
+		const file = path.join(OVERRIDES_FOLDER, entry.file);
+		const { contents, matches } = replaceVersion(readSource(file), entry.pattern, previousVersion, version);
+
+		if (matches == 0) {
+			log.warn(`releaseVersionFiles[${index}]: ${previousVersion} not found in ${file}, skipping.`);
+			continue;
+		}
+
+		log(`Updating ${matches} occurrence(s) in ${file}...`);
+		writeSource(file, contents);
+	}
+
+	cb();
+}
+
+/**
+ * Adds the changelog section of the new version on top of `releaseChangelogFile`,
+ * below its title if it has one.
+ */
+function writeReleaseChangelog(cb) {
+	const { notes } = LOCAL_STORAGE.release;
+	if (!CONFIG.releaseChangelogFile) {
+		return cb();
+	}
+
+	const file = CONFIG.releaseChangelogFile;
+	const existing = fs.existsSync(path.join(SRC_FOLDER, file)) ? readSource(file) : "# Changelog\n";
+
+	const title = /^# .*\n+/.exec(existing);
+	const head = title ? title[0].replace(/\n+$/, "\n\n") : "";
+	const rest = existing.substring(title ? title[0].length : 0);
+
+	if (LOCAL_STORAGE.release.dryRun) {
+		log(`Release notes:\n${notes}`);
+	}
+
+	writeSource(file, head + notes.replace(/\n*$/, "\n") + (rest ? `\n${rest}` : ""));
+	cb();
+}
+
+/**
+ * Commits the release and tags it, if asked to.
+ *
+ * Nothing is pushed.
+ */
+function commitRelease(cb) {
+	const { commitMessage, tagName, dryRun, files } = LOCAL_STORAGE.release;
+	if (!commitMessage) {
+		return cb();
+	}
+
+	if (dryRun) {
+		log(`Would commit "${commitMessage}".`);
+		if (tagName) {
+			log(`Would tag ${tagName}.`);
+		}
+
+		return cb();
+	}
+
+	try {
+		git(["add", "--", ...files], SRC_FOLDER);
+		git(["commit", "-m", commitMessage], SRC_FOLDER);
+		log(`Committed "${commitMessage}".`);
+
+		if (tagName) {
+			git(["tag", "-a", tagName, "-m", commitMessage], SRC_FOLDER);
+			log(`Tagged ${tagName}. Push it with git push origin ${tagName}.`);
+		}
+	} catch (err) {
+		return cb(`Git failed: ${err.message}`);
+	}
+
+	cb();
+}
+
+module.exports = [
+	prepareRelease,
+	createReleaseNotes,
+	bumpManifestVersion,
+	bumpVersionFiles,
+	writeReleaseChangelog,
+	commitRelease
+]
@@ -1,118 +1,32 @@
-const { libraryToPath } = require("../../util/util")
 const fs       = require("fs");
 const log      = require("fancy-log");
 const path     = require("path").posix;
-const unzip    = require("unzipper");
 const zip      = require("gulp-zip");
-const mustache = require("mustache");
 const through  = require("through2");
 
 const { src, dest } = require("gulp");
 
-const { ConcurrentRetryDownloader, retryRequest } = require("../../util/downloaders.js");
+const { reproducible } = require("../../util/archives.js");
+const { getModLoader } = require("./loaders");
+const { inspectJars } = require("../../util/modinfo.js");
+const { renderStream } = require("../../util/templates.js");
+const { getPackContext, getTemplateContext } = require("./templates.js");
+const {
+	DEST_FOLDER,
+	SERVER_DEST_FOLDER,
+	TEMP_FOLDER,
+	METADATA,
+	downloadAndSaveFiles,
+	downloadModFiles,
+	getArchiveSuffix,
+	recordArchive,
+	srcOverrides
+} = require("../common.js");
 
 const SRC_FOLDER         = CONFIG.buildSourceDirectory;
-const DEST_FOLDER        = CONFIG.buildDestinationDirectory;
-const SERVER_DEST_FOLDER = path.join(DEST_FOLDER, "server");
-const TEMP_FOLDER        = path.join(DEST_FOLDER, "temp");
+const SERVERFILES_FOLDER = path.join(SRC_FOLDER, "serverfiles");
 
-const Promise = require("bluebird");
-
-/**
- * Initialize the file downloader.
- */
-const DOWNLOADER = new ConcurrentRetryDownloader({
-	concurrency  : CONFIG.downloaderConcurrency
-	, checkHashes: CONFIG.downloaderCheckHashes
-	, maxRetries : CONFIG.downloaderMaxRetries
-})
-.on("start", (args) => {
-	log(`Downloading ${path.basename(args.fileDef.path)}...`)
-})
-.on("complete", (args) => {
-	const numFiles = args.total > 1 ? `(${args.index + 1} / ${args.total}) ` : "";
-
-	/**
-	 * Create a directory for the file.
-	 */
-	const dirname = path.dirname(args.fileDef.path);
-	if (!fs.existsSync(dirname)) {
-		fs.mkdirSync(dirname, { recursive: true })
-	}
-
-	/**
-	 * If file exists already, remove it.
-	 * A failed attempt might leave an malformed file.
-	 */
-	if (fs.existsSync(args.fileDef.path)) {
-		fs.unlinkSync(args.fileDef.path);
-	}
-
-	const fd = fs.openSync(args.fileDef.path, "wx");
-	fs.writeSync(fd, args.output);
-	fs.closeSync(fd);
-	log(numFiles + `Downloaded and saved ${path.basename(args.fileDef.path)}`)
-})
-.on("retry", (args) => {
-	log(`Failed to download ${path.basename(args.fileDef.path)}, retrying...`)
-});
-
-/**
- * Wraps the `.download()` method of DOWNLOADER.
- * 
- * @param {FileDef[]} files Array of libraries to download.
- * @param {(error?) => void} callback Optional callback to call once everything is downloaded.
- */
-const downloadAndSaveFiles = (files, callback = null) => {
-	DOWNLOADER.download(files)
-		.then(() => {
-			if (callback) {
-				callback();
-			}
-		})
-		.catch((args) => {
-			if (callback) {
-				log();
-				if (args.fileDef && args.fileDef.path && args.error) {
-					log(`Failed to download ${path.basename(args.fileDef.path)}`)
-					callback(args.error);
-				} else {
-					callback(args);
-				}
-			}
-		});
-}
-
-const MOJANG_MAVEN = "https://libraries.minecraft.net/";
-
-/**
- * Library wrapper for downloadFiles.
- * 
- * @param {string[]} libraries Array of libraries to download.
- * @param {(error?) => void} callback Optional callback to call once everything is downloaded.
- */
-const downloadLibraries = (libraries, callback = null) => {
-	downloadAndSaveFiles(
-		libraries.map((library) => {
-			const libraryPath = libraryToPath(library.name) + ".jar";
-			const localLibraryPath = path.join(SERVER_DEST_FOLDER, "libraries", libraryPath);
-			const url = library.url || MOJANG_MAVEN;
-
-			const def = {
-				url: url + libraryPath,
-				path: localLibraryPath,
-			}
-
-			if (library.checksums) {
-				def.hashes = [
-					{ id: "sha1", hashes: library.checksums }
-				]
-			}
-
-			return def;
-		}), callback
-	);
-}
+const SERVERFILES_TEMPLATES = CONFIG.serverfilesTemplateGlobs.map(glob => path.join(SERVERFILES_FOLDER, glob));
 
 function createServerDirs(cb) {
 	const toCreate = [
@@ -128,101 +42,20 @@ function createServerDirs(cb) {
 	cb();
 }
 
-
-const FORGE_VERSION_REG = /forge-(.+)/;
-const FORGE_MAVEN = "https://files.minecraftforge.net/maven/";
-
 /**
- * Download the Forge jar.
- * 
- * Extract, parse the profile data and download required libraries.
+ * Installs the mod loader defined in manifest.json
+ * using the matching loader backend.
  */
-function downloadForge(cb) {
-	const minecraft = MODPACK_MANIFEST.minecraft;
-
-	/**
-	 * Break down the Forge version defined in manifest.json.
-	 */
-	const parsedForgeEntry = FORGE_VERSION_REG.exec(
-		(minecraft.modLoaders
-			.find(x => x.id && x.id.indexOf("forge") != -1
-		) || {}).id || ""
-	);
-
-	if (parsedForgeEntry) {
-		/**
-		 * Transform Forge version into Maven library path.
-		 */
-		const forgeMavenLibrary = `net.minecraftforge:forge:${minecraft.version}-${parsedForgeEntry[1]}`;
-		const forgeInstallerPath = libraryToPath(forgeMavenLibrary) + "-installer.jar";
-		const localForgePath = path.join(TEMP_FOLDER, path.basename(forgeInstallerPath));
-
-		/**
-		 * Fetch the Forge installer
-		 */
-		downloadAndSaveFiles([{
-			url: FORGE_MAVEN + forgeInstallerPath
-			, path: localForgePath
-		}], () => {
-			log("Extracting the Forge installer...")
-
-			/**
-			 * Extract the installer into temp folder.
-			 */
-			fs.createReadStream(localForgePath)
-				.pipe(unzip.Extract({ path: path.join(TEMP_FOLDER, "forge") }))
-				.on("close", () => {
-					log("Reading the manifest file...")
+function downloadModLoader(cb) {
+	const modLoader = getModLoader();
 
-					/**
-					 * Parse the profile manifest.
-					 */
-					const manifest = JSON.parse(
-						fs.readFileSync(path.join(TEMP_FOLDER, "forge", "install_profile.json"))
-					);
-
-					if (manifest && manifest.versionInfo && manifest.versionInfo.libraries) {
-						const forgeUniversalPath = path.basename(
-							libraryToPath(forgeMavenLibrary) + "-universal.jar"
-						);
-
-						/**
-						 * Move the universal jar into the dist folder.
-						 */
-						log("Moving the Forge file...")
-						fs.renameSync(
-							path.join(TEMP_FOLDER, "forge", forgeUniversalPath)
-							, path.join(SERVER_DEST_FOLDER, forgeUniversalPath)
-						);
-
-						/**
-						 * Save the universal jar file name for later.
-						 * 
-						 * We will need it to process launchscripts.
-						 */
-						LOCAL_STORAGE.forgeJar = forgeUniversalPath;
-
-						log("Fetching server libraries...")
-
-						/**
-						 * Finally, fetch libraries.
-						 */
-						downloadLibraries(
-							manifest
-								.versionInfo
-								.libraries
-								.filter(x => x.serverreq)
-							, cb
-						);
-					} else {
-						cb("Malformed Forge manifest file.")
-					}
-				});
-		});
-	} else {
-		cb("Malformed Forge version in manifest.json.")
+	if (!modLoader) {
+		return cb("No supported mod loader found in manifest.json.");
 	}
-};
+
+	log(`Installing ${modLoader.backend.name} ${modLoader.version}...`);
+	modLoader.backend.install(modLoader.version, cb);
+}
 
 const LAUNCHERMETA_VERSION_MANIFEST = "https://launchermeta.mojang.com/mc/game/version_manifest.json";
 
@@ -235,9 +68,9 @@ function downloadMinecraftServer(cb) {
 	/**
 	 * Fetch the manifest file of all Minecraft versions.
 	 */
-	retryRequest(
-		CONFIG.downloaderMaxRetries
-		, { uri: LAUNCHERMETA_VERSION_MANIFEST, json: true }
+	METADATA.fetch(
+		"mojang/version_manifest"
+		, { uri: LAUNCHERMETA_VERSION_MANIFEST }
 	).then((manifest) => {
 		/**
 		 * Find the version defined in manifest.json.
@@ -249,9 +82,9 @@ function downloadMinecraftServer(cb) {
 			/**
 			 * Fetch the version manifest file.
 			 */
-			retryRequest(
-				CONFIG.downloaderMaxRetries
-				, { uri: version.url, json: true }
+			METADATA.fetch(
+				`mojang/versions/${version.id}`
+				, { uri: version.url }
 			).then((versionManifest) => {			
 				if (versionManifest.downloads && versionManifest.downloads.server) {
 					/**
@@ -259,9 +92,11 @@ function downloadMinecraftServer(cb) {
 					 * 
 					 * Pass SHA1 hash to compare against the downloaded file.
 					 */
+					LOCAL_STORAGE.minecraftJar = `minecraft_server.${version.id}.jar`;
+
 					downloadAndSaveFiles([{
 						url: versionManifest.downloads.server.url
-						, path: path.join(SERVER_DEST_FOLDER, `minecraft_server.${version.id}.jar`)
+						, path: path.join(SERVER_DEST_FOLDER, LOCAL_STORAGE.minecraftJar)
 						, hashes: [
 							{ id: "sha1", hashes: versionManifest.downloads.server.sha1 }
 						]
@@ -273,55 +108,68 @@ function downloadMinecraftServer(cb) {
 		} else {
 			cb(`Couldn't find ${MODPACK_MANIFEST.minecraft.version} in the version manifest.`);
 		}
-	});
+	}).catch(cb);
 };
 
 /**
  * Downloads mods according to manifest.json and checks hashes.
+ * 
+ * Skips client-only mods.
  */
 function downloadMods(cb) {
 	log("Fetching mods...");
-	
-	/**
-	 * Fetch file descriptions for download urls and hashes
-	 * by mapping files to Promises.
-	 */
-	Promise.map(MODPACK_MANIFEST.files, file => {
-		return retryRequest(
-			CONFIG.downloaderMaxRetries
-			, {
-				uri: `https://addons-ecs.forgesvc.net/api/v2/addon/${file.projectID}/file/${file.fileID}`
-				, json: true
-			}
-		)
-	}, { concurrency: CONFIG.downloaderConcurrency }).then(fileInfos => {
-		log(`Fetched ${fileInfos.length} mods...`);
 
-		/**
-		 * Download and save mod files.
-		 * 
-		 * Pass mod fingerprints to compare against downloaded files.
-		 */
-		downloadAndSaveFiles(
-			fileInfos.map(fileInfo => {
-				return {
-					url: fileInfo.downloadUrl
-					, path: path.join(SERVER_DEST_FOLDER, "mods", fileInfo.fileName)
-					, hashes: [
-						{ id: "murmurhash", hashes: fileInfo.packageFingerprint }
-					]
-				}
-			}), cb
-		);
-	})
+	downloadModFiles(path.join(SERVER_DEST_FOLDER, "mods"), "server")
+		.then(() => cb())
+		.catch(cb);
 };
 
+/**
+ * Inspects downloaded mods and writes mods-report.json into the build folder.
+ * 
+ * Reports duplicate mod IDs, mods made for a different Minecraft version
+ * and jars without metadata.
+ */
+function inspectMods(cb) {
+	const reportPath = path.join(DEST_FOLDER, `mods-report${getArchiveSuffix()}.json`);
+	const modsFolder = path.join(SERVER_DEST_FOLDER, "mods");
+	const jars = (fs.existsSync(modsFolder) ? fs.readdirSync(modsFolder) : [])
+		.filter(file => file.endsWith(".jar"))
+		.map(file => path.join(modsFolder, file));
+
+	inspectJars(jars, MODPACK_MANIFEST.minecraft.version)
+		.then((report) => {
+			fs.writeFileSync(reportPath, JSON.stringify(report, null, "\t"));
+
+			report.jars.filter(jar => !jar.format).forEach(jar => {
+				log.warn(jar.error ? `Couldn't read ${jar.file}: ${jar.error}` : `${jar.file} has no mod metadata.`);
+			});
+
+			report.versionMismatches.forEach(mismatch => {
+				log.warn(`${mismatch.file}: ${mismatch.id} is made for Minecraft ${[].concat(mismatch.minecraft).join(" || ")},`
+					+ ` not ${report.minecraftVersion}.`);
+			});
+
+			report.duplicates.forEach(duplicate => {
+				(CONFIG.failOnDuplicateModIds ? log.error : log.warn)(`Mod ID ${duplicate.id} is declared by ${duplicate.files.join(", ")}.`);
+			});
+
+			log(`Inspected ${report.jars.length} jars, saved the report to ${path.normalize(reportPath)}`);
+
+			if (CONFIG.failOnDuplicateModIds && report.duplicates.length > 0) {
+				return cb(`Found ${report.duplicates.length} duplicate mod IDs.`);
+			}
+
+			cb();
+		})
+		.catch(cb);
+}
+
 /**
  * Copies modpack overrides.
  */
 function copyServerOverrides() {
-	const basedir = path.join(SRC_FOLDER, OVERRIDES_FOLDER);
-	return src(CONFIG.copyOverridesServerGlobs.map(glob => path.join(basedir, glob)), { base: basedir })
+	return srcOverrides("copyOverridesServerGlobs")
 		.pipe(dest(SERVER_DEST_FOLDER));
 };
 
@@ -329,13 +177,20 @@ function copyServerOverrides() {
  * Copies files from ./serverfiles into dest folder.
  */
 function copyServerfiles() {
-	return src(["../serverfiles/**"])
+	return src(path.join(SERVERFILES_FOLDER, "**"), { base: SERVERFILES_FOLDER, ignore: SERVERFILES_TEMPLATES })
 		.pipe(dest(SERVER_DEST_FOLDER));
 };
 
 /**
- * Copies the license file.
+ * Renders server files matching `CONFIG.serverfilesTemplateGlobs`,
+ * e.g. server.properties, with the same variables launch scripts get.
  */
+function processServerfiles() {
+	return src(SERVERFILES_TEMPLATES, { base: SERVERFILES_FOLDER })
+		.pipe(renderStream(getTemplateContext()))
+		.pipe(dest(SERVER_DEST_FOLDER));
+};
+
 function copyServerLicense() {
 	return src("../LICENSE.md")
 		.pipe(dest(SERVER_DEST_FOLDER));
@@ -344,53 +199,63 @@ function copyServerLicense() {
 /**
  * Copies files from ./launchscripts into dest folder and processes them using mustache.
  * 
- * Replaces jvmArgs, minRAM, maxRAM and forgeJar.
+ * See getTemplateContext for available variables. Undefined variables fail the build.
  */
 function processLaunchscripts() {
-	const rules = {
-		jvmArgs: CONFIG.launchscriptsJVMArgs
-		, minRAM: CONFIG.launchscriptsMinRAM
-		, maxRAM: CONFIG.launchscriptsMaxRAM
-	};
-
-	if (LOCAL_STORAGE.forgeJar) {
-		rules.forgeJar = LOCAL_STORAGE.forgeJar;
-	} else {
-		rules.forgeJar = "";
-		log.warn("No forgeJar specified!");
-		log.warn("Did the download-forge task fail?")
+	return src(path.join(SRC_FOLDER, "launchscripts", "**"))
+		.pipe(renderStream(getTemplateContext()))
+		.pipe(dest(SERVER_DEST_FOLDER));
+};
+
+/**
+ * Renders service definitions from ./servicescripts into the server folder
+ * if `CONFIG.launchscriptsServices` is enabled.
+ * 
+ * server.service is renamed after the service.
+ */
+function processServiceScripts(cb) {
+	if (!CONFIG.launchscriptsServices) {
+		return cb();
 	}
 
-	return src(['../launchscripts/**'])
-		.pipe(
-			through.obj((file, _, callback) => {
-				if (file.isBuffer()) {
-					const rendered = mustache.render(file.contents.toString(), rules);
-					file.contents = Buffer.from(rendered);
-				}
-				callback(null, file);
-			})
-		)
-		.pipe(dest(SERVER_DEST_FOLDER));
+	const context = getTemplateContext();
+
+	return src(path.join(SRC_FOLDER, "servicescripts", "**"))
+		.pipe(renderStream(context))
+		.pipe(through.obj((file, _, callback) => {
+			if (file.basename == "server.service") {
+				file.basename = `${context.serviceName}.service`;
+			}
+
+			callback(null, file);
+		}))
+		.pipe(dest(SERVER_DEST_FOLDER, { mode: file => file.basename.endsWith(".sh") ? 0o755 : file.stat.mode }));
 };
 
 /**
- * Zips the server directory.
+ * Zips the server directory, named after `CONFIG.archiveNameTemplate`.
  */
 function zipServer() {
+	const archive = getPackContext().serverArchive;
+	recordArchive("server", archive);
+
 	return src(path.join(SERVER_DEST_FOLDER, "**"), { nodir: true, base: SERVER_DEST_FOLDER })
-		.pipe(zip("server.zip"))
+		.pipe(reproducible())
+		.pipe(zip(`${archive}.zip`))
 		.pipe(dest(DEST_FOLDER));
 }
 
 module.exports = [
 	createServerDirs,
-	downloadForge,
 	downloadMinecraftServer,
+	downloadModLoader,
 	downloadMods,
+	inspectMods,
 	copyServerOverrides,
 	copyServerfiles,
+	processServerfiles,
 	copyServerLicense,
 	processLaunchscripts,
+	processServiceScripts,
 	zipServer
 ]
@@ -0,0 +1,173 @@
+const { mavenToPath } = require("../../../util/util.js");
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+const yazl     = require("yazl");
+
+const {
+	SERVER_DEST_FOLDER,
+	METADATA,
+	downloadAndSaveFiles
+} = require("../../common.js");
+
+const FABRIC_META = "https://meta.fabricmc.net/";
+const FABRIC_MAVEN = "https://maven.fabricmc.net/";
+
+const FABRIC_LAUNCH_JAR = "fabric-server-launch.jar";
+const FABRIC_LAUNCHER_PROPERTIES = "fabric-server-launcher.properties";
+
+/**
+ * Maps Fabric meta library entries to file definitions.
+ *
+ * @param {object[]} libraries Entries with `name`, `url` and optionally `sha1`.
+ * @returns {FileDef[]}
+ */
+const mapFabricLibraries = (libraries) => {
+	return libraries.map((library) => {
+		const libraryPath = mavenToPath(library.name);
+		const baseUrl = library.url || FABRIC_MAVEN;
+
+		const def = {
+			url: baseUrl.replace(/\/?$/, "/") + libraryPath
+			, path: path.join(SERVER_DEST_FOLDER, "libraries", libraryPath)
+		};
+
+		if (library.sha1) {
+			def.hashes = [
+				{ id: "sha1", hashes: library.sha1 }
+			];
+		}
+
+		return def;
+	});
+}
+
+/**
+ * Wraps a manifest line, since the jar spec doesn't allow lines longer than 72 bytes.
+ *
+ * Continuation lines start with a single space.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+const wrapManifestLine = (line) => {
+	const chunks = [line.substring(0, 72)];
+	for (let i = 72; i < line.length; i += 71) {
+		chunks.push(" " + line.substring(i, i + 71));
+	}
+
+	return chunks.map(chunk => chunk + "\r\n").join("");
+}
+
+/**
+ * Writes the server launch jar, same as the Fabric installer does.
+ *
+ * The jar only contains a manifest pointing to the libraries
+ * and the properties file telling the launcher what to launch.
+ *
+ * @param {string} launcherMainClass Main class of the jar.
+ * @param {string} launchMainClass Class the launcher hands over to.
+ * @param {string[]} classPath Library paths relative to the server folder.
+ * @returns {Promise<void>}
+ */
+const writeLaunchJar = (launcherMainClass, launchMainClass, classPath) => {
+	return new Promise((resolve, reject) => {
+		const jar = new yazl.ZipFile();
+
+		jar.addBuffer(Buffer.from([
+			"Manifest-Version: 1.0",
+			`Main-Class: ${launcherMainClass}`,
+			`Class-Path: ${classPath.join(" ")}`
+		].map(wrapManifestLine).join("") + "\r\n"), "META-INF/MANIFEST.MF");
+
+		jar.addBuffer(
+			Buffer.from(`launch.mainClass=${launchMainClass}\n`)
+			, "fabric-server-launch.properties"
+		);
+
+		jar.outputStream
+			.pipe(fs.createWriteStream(path.join(SERVER_DEST_FOLDER, FABRIC_LAUNCH_JAR)))
+			.on("close", resolve)
+			.on("error", reject);
+
+		jar.end();
+	});
+}
+
+/**
+ * Installs the Fabric loader.
+ *
+ * Resolves the loader and intermediary using Fabric meta,
+ * downloads libraries and writes the server launch jar.
+ *
+ * @param {string} version Fabric loader version, e.g. `0.14.9`.
+ * @param {(error?) => void} cb
+ */
+function installFabric(version, cb) {
+	const minecraftVersion = MODPACK_MANIFEST.minecraft.version;
+
+	log("Fetching the Fabric loader profile...");
+
+	METADATA.fetch(
+		`fabric/loader/${minecraftVersion}/${version}`
+		, { uri: FABRIC_META + `v2/versions/loader/${minecraftVersion}/${version}` }
+	).then((profile) => {
+		if (!profile || !profile.loader || !profile.intermediary || !profile.launcherMeta) {
+			return cb("Malformed Fabric loader profile.");
+		}
+
+		const launcherMeta = profile.launcherMeta;
+		const libraries = mapFabricLibraries([
+			...(launcherMeta.libraries.common || []),
+			...(launcherMeta.libraries.server || []),
+			{ name: profile.loader.maven },
+			{ name: profile.intermediary.maven }
+		]);
+
+		const launchMainClass = typeof launcherMeta.mainClass == "object"
+			? launcherMeta.mainClass.server
+			: launcherMeta.mainClass;
+
+		/**
+		 * Loader 0.12+ moved everything into the impl package.
+		 */
+		const launcherMainClass = launchMainClass.indexOf(".impl.") != -1
+			? "net.fabricmc.loader.impl.launch.server.FabricServerLauncher"
+			: "net.fabricmc.loader.launch.server.FabricServerLauncher";
+
+		log("Fetching server libraries...");
+
+		downloadAndSaveFiles(libraries, (error) => {
+			if (error) {
+				return cb(error);
+			}
+
+			if (!LOCAL_STORAGE.minecraftJar) {
+				return cb("No Minecraft server jar found. Did the downloadMinecraftServer task fail?");
+			}
+
+			log("Writing the Fabric server launcher...");
+
+			const classPath = libraries.map(def => path.relative(SERVER_DEST_FOLDER, def.path));
+			writeLaunchJar(launcherMainClass, launchMainClass, classPath)
+				.then(() => {
+					/**
+					 * Point the launcher to the vanilla jar.
+					 */
+					fs.writeFileSync(
+						path.join(SERVER_DEST_FOLDER, FABRIC_LAUNCHER_PROPERTIES)
+						, `serverJar=${LOCAL_STORAGE.minecraftJar}\n`
+					);
+
+					LOCAL_STORAGE.serverJar = FABRIC_LAUNCH_JAR;
+					cb();
+				})
+				.catch(cb);
+		});
+	}).catch(cb);
+}
+
+module.exports = {
+	name: "fabric",
+	install: installFabric
+}
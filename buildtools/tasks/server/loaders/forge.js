@@ -0,0 +1,270 @@
+const { libraryToPath, mavenToPath } = require("../../../util/util.js");
+const forge    = require("../../../util/forge.js");
+const fs       = require("fs");
+const log      = require("fancy-log");
+const path     = require("path").posix;
+const unzip    = require("unzipper");
+
+const {
+	SERVER_DEST_FOLDER,
+	TEMP_FOLDER,
+	METADATA,
+	downloadAndSaveFiles
+} = require("../../common.js");
+
+const MOJANG_MAVEN = "https://libraries.minecraft.net/";
+
+/**
+ * Library wrapper for downloadFiles.
+ * 
+ * @param {string[]} libraries Array of libraries to download.
+ * @param {(error?) => void} callback Optional callback to call once everything is downloaded.
+ */
+const downloadLibraries = (libraries, callback = null) => {
+	downloadAndSaveFiles(
+		libraries.map((library) => {
+			const libraryPath = libraryToPath(library.name) + ".jar";
+			const localLibraryPath = path.join(SERVER_DEST_FOLDER, "libraries", libraryPath);
+			const url = library.url || MOJANG_MAVEN;
+
+			const def = {
+				url: url + libraryPath,
+				path: localLibraryPath,
+			}
+
+			if (library.checksums) {
+				def.hashes = [
+					{ id: "sha1", hashes: library.checksums }
+				]
+			}
+
+			return def;
+		}), callback
+	);
+}
+
+const FORGE_MAVEN = "https://files.minecraftforge.net/maven/";
+
+/**
+ * Download the Forge installer.
+ * 
+ * Extract, parse the profile data and download required libraries.
+ * 
+ * @param {string} version Forge version, e.g. `14.23.5.2847`.
+ * @param {(error?) => void} cb
+ */
+function installForge(version, cb) {
+	const minecraft = MODPACK_MANIFEST.minecraft;
+
+	/**
+	 * Transform Forge version into Maven library path.
+	 */
+	const forgeMavenLibrary = `net.minecraftforge:forge:${minecraft.version}-${version}`;
+	const forgeInstallerPath = libraryToPath(forgeMavenLibrary) + "-installer.jar";
+	const localForgePath = path.join(TEMP_FOLDER, path.basename(forgeInstallerPath));
+
+	/**
+	 * Fetch the Forge installer
+	 */
+	downloadAndSaveFiles([{
+		url: FORGE_MAVEN + forgeInstallerPath
+		, path: localForgePath
+	}], (error) => {
+		if (error) {
+			return cb(error);
+		}
+
+		log("Extracting the Forge installer...")
+
+		/**
+		 * Extract the installer into temp folder.
+		 */
+		fs.createReadStream(localForgePath)
+			.pipe(unzip.Extract({ path: path.join(TEMP_FOLDER, "forge") }))
+			.on("close", () => {
+				log("Reading the manifest file...")
+
+				/**
+				 * Parse the profile manifest.
+				 */
+				const manifest = JSON.parse(
+					fs.readFileSync(path.join(TEMP_FOLDER, "forge", "install_profile.json"))
+				);
+
+				METADATA.save(`forge/install_profile/${minecraft.version}-${version}`, forgeInstallerPath, manifest);
+
+				if (manifest && manifest.versionInfo && manifest.versionInfo.libraries) {
+					const forgeUniversalPath = path.basename(
+						libraryToPath(forgeMavenLibrary) + "-universal.jar"
+					);
+
+					/**
+					 * Move the universal jar into the dist folder.
+					 */
+					log("Moving the Forge file...")
+					fs.renameSync(
+						path.join(TEMP_FOLDER, "forge", forgeUniversalPath)
+						, path.join(SERVER_DEST_FOLDER, forgeUniversalPath)
+					);
+
+					/**
+					 * Save the universal jar file name for later.
+					 * 
+					 * We will need it to process launchscripts.
+					 */
+					LOCAL_STORAGE.serverJar = forgeUniversalPath;
+
+					log("Fetching server libraries...")
+
+					/**
+					 * Finally, fetch libraries.
+					 */
+					downloadLibraries(
+						manifest
+							.versionInfo
+							.libraries
+							.filter(x => x.serverreq)
+						, cb
+					);
+				} else if (forge.isModernProfile(manifest)) {
+					installModernForge(manifest, `${minecraft.version}-${version}`, localForgePath, cb);
+				} else {
+					cb("Malformed Forge manifest file.")
+				}
+			});
+	});
+};
+
+/**
+ * Installs Forge using a modern (1.13+) install profile.
+ * 
+ * Downloads libraries of both install_profile.json and version.json,
+ * runs server-side processors and figures out how to launch the server.
+ * 
+ * @param {object} profile Parsed install_profile.json.
+ * @param {string} forgeVersion Full Forge version, e.g. `1.16.5-36.2.0`.
+ * @param {string} installerPath Path to the installer jar.
+ * @param {(error?) => void} cb
+ */
+function installModernForge(profile, forgeVersion, installerPath, cb) {
+	const installerDir = path.join(TEMP_FOLDER, "forge");
+	const librariesDir = path.join(SERVER_DEST_FOLDER, "libraries");
+	const versionJsonPath = path.join(installerDir, profile.json || "version.json");
+
+	if (!fs.existsSync(versionJsonPath)) {
+		return cb("Malformed Forge installer: version.json is missing.");
+	}
+
+	const versionJson = JSON.parse(fs.readFileSync(versionJsonPath));
+	METADATA.save(`forge/version/${forgeVersion}`, installerPath, versionJson);
+
+	if (!LOCAL_STORAGE.minecraftJar) {
+		return cb("No Minecraft server jar found. Did the downloadMinecraftServer task fail?");
+	}
+
+	/** @type {forge.ForgeInstallContext} */
+	const ctx = {
+		rootDir: SERVER_DEST_FOLDER
+		, librariesDir: librariesDir
+		, installerDir: installerDir
+		, installerPath: installerPath
+		, minecraftVersion: MODPACK_MANIFEST.minecraft.version
+		, minecraftJar: path.join(SERVER_DEST_FOLDER, LOCAL_STORAGE.minecraftJar)
+	};
+
+	/**
+	 * Spec 1 profiles expect the vanilla jar inside the libraries folder.
+	 */
+	if (profile.serverJarPath) {
+		const serverJarPath = forge.replaceTokens(profile.serverJarPath, {
+			LIBRARY_DIR: librariesDir
+			, MINECRAFT_VERSION: ctx.minecraftVersion
+		});
+
+		fs.mkdirSync(path.dirname(serverJarPath), { recursive: true });
+		fs.copyFileSync(ctx.minecraftJar, serverJarPath);
+		ctx.minecraftJar = serverJarPath;
+	}
+
+	const libraries = forge.mapModernLibraries(
+		[...profile.libraries, ...(versionJson.libraries || [])]
+		, librariesDir
+	);
+
+	/**
+	 * Libraries without URLs are bundled with the installer.
+	 */
+	for (const libraryPath of libraries.bundled) {
+		const bundledPath = path.join(installerDir, "maven", libraryPath);
+		if (!fs.existsSync(bundledPath)) {
+			return cb(`Malformed Forge installer: ${libraryPath} has no URL and isn't bundled.`);
+		}
+
+		const localPath = path.join(librariesDir, libraryPath);
+		fs.mkdirSync(path.dirname(localPath), { recursive: true });
+		fs.copyFileSync(bundledPath, localPath);
+	}
+
+	/**
+	 * Both files list some libraries twice.
+	 */
+	const remote = libraries.remote
+		.filter((def, index, arr) => arr.findIndex(x => x.path == def.path) == index);
+
+	log("Fetching server libraries...")
+
+	downloadAndSaveFiles(remote, (error) => {
+		if (error) {
+			return cb(error);
+		}
+
+		log("Running Forge processors...")
+
+		forge.runProcessors(profile, forge.resolveData(profile, ctx), ctx)
+			.then(() => {
+				const argsFolder = path.join("libraries", "net/minecraftforge/forge", forgeVersion);
+				const unixArgsPath = path.join(installerDir, "data", "unix_args.txt");
+
+				if (fs.existsSync(unixArgsPath)) {
+					/**
+					 * 1.17+ servers have no runnable jar and are launched
+					 * using argument files instead.
+					 */
+					fs.mkdirSync(path.join(SERVER_DEST_FOLDER, argsFolder), { recursive: true });
+					["unix_args.txt", "win_args.txt"].forEach((file) => {
+						fs.copyFileSync(
+							path.join(installerDir, "data", file)
+							, path.join(SERVER_DEST_FOLDER, argsFolder, file)
+						);
+					});
+
+					LOCAL_STORAGE.serverArgs = {
+						unix: `@${path.join(argsFolder, "unix_args.txt")}`
+						, windows: `@${path.join(argsFolder, "win_args.txt")}`
+					};
+				} else if (profile.path) {
+					/**
+					 * 1.13-1.16 servers are launched using the Forge jar
+					 * copied into the root folder.
+					 */
+					const forgeJar = path.basename(mavenToPath(profile.path));
+					fs.copyFileSync(
+						path.join(librariesDir, mavenToPath(profile.path))
+						, path.join(SERVER_DEST_FOLDER, forgeJar)
+					);
+
+					LOCAL_STORAGE.serverJar = forgeJar;
+				} else {
+					return cb("Malformed Forge manifest file: couldn't determine how to launch the server.");
+				}
+
+				cb();
+			})
+			.catch(cb);
+	});
+}
+
+module.exports = {
+	name: "forge",
+	install: installForge
+}
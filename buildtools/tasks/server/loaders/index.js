@@ -0,0 +1,53 @@
+/**
+ * @typedef {object} ModLoaderBackend
+ * @property {string} name Loader name, matches the `<name>-<version>` id in manifest.json.
+ * @property {(version: string, cb: (error?) => void) => void} install Installs the loader
+ * into the server folder.
+ * 
+ * Backends must set `LOCAL_STORAGE.serverJar` to the jar that launches the server,
+ * or `LOCAL_STORAGE.serverArgs` (`{ unix, windows }`) if there's no such jar.
+ */
+
+/** @type {ModLoaderBackend[]} */
+const BACKENDS = [
+	require("./forge.js"),
+	require("./fabric.js")
+];
+
+const LOADER_ID_REG = /^(\w+)-(.+)$/;
+
+/**
+ * @typedef {object} ModLoader
+ * @property {ModLoaderBackend} backend Loader backend.
+ * @property {string} version Loader version.
+ */
+
+/**
+ * Resolves the mod loader defined in manifest.json.
+ * 
+ * Prefers the primary loader if there's more than one.
+ * 
+ * @returns {ModLoader|null}
+ */
+exports.getModLoader = () => {
+	const modLoaders = (MODPACK_MANIFEST.minecraft.modLoaders || [])
+		.filter(x => x.id)
+		.sort((a, b) => (b.primary ? 1 : 0) - (a.primary ? 1 : 0));
+
+	for (const loader of modLoaders) {
+		const parsed = LOADER_ID_REG.exec(loader.id);
+		if (!parsed) {
+			continue;
+		}
+
+		const backend = BACKENDS.find(x => x.name == parsed[1]);
+		if (backend) {
+			return {
+				backend: backend
+				, version: parsed[2]
+			};
+		}
+	}
+
+	return null;
+}
@@ -0,0 +1,179 @@
+const log      = require("fancy-log");
+
+const { getCIContext } = require("../../util/ci.js");
+const { renderArchiveName, readBuildManifest, BUILD_MANIFEST_FILE } = require("../../util/artifacts.js");
+const { getModLoader } = require("./loaders");
+const { getArchiveSuffix } = require("../common.js");
+
+/**
+ * Returns variables for launch scripts.
+ *
+ * Mod loader backends decide how the server is launched.
+ */
+const getLaunchVariables = () => {
+	const vars = {
+		jvmArgs: CONFIG.launchscriptsJVMArgs
+		, minRAM: CONFIG.launchscriptsMinRAM
+		, maxRAM: CONFIG.launchscriptsMaxRAM
+	};
+
+	if (LOCAL_STORAGE.serverArgs) {
+		vars.serverJar = "";
+		vars.launchArgs = LOCAL_STORAGE.serverArgs.unix;
+		vars.launchArgsWindows = LOCAL_STORAGE.serverArgs.windows;
+	} else if (LOCAL_STORAGE.serverJar) {
+		vars.serverJar = LOCAL_STORAGE.serverJar;
+		vars.launchArgs = vars.launchArgsWindows = `-jar ${LOCAL_STORAGE.serverJar}`;
+	} else {
+		vars.serverJar = vars.launchArgs = vars.launchArgsWindows = "";
+		log.warn("No serverJar specified!");
+		log.warn("Did the downloadModLoader task fail?")
+	}
+
+	vars.forgeJar = vars.serverJar;
+	// Services run launch.sh unattended, a pause would keep their session from ending.
+	vars.interactive = !!CONFIG.launchscriptsInteractive && !CONFIG.launchscriptsServices;
+
+	return vars;
+}
+
+/**
+ * Returns variables for service definitions.
+ */
+const getServiceVariables = () => {
+	const serviceName = CONFIG.serviceName || MODPACK_MANIFEST.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+	return {
+		serviceName: serviceName
+		, serviceUser: CONFIG.serviceUser
+		, serviceDirectory: CONFIG.serviceDirectory || `/opt/${serviceName}`
+		, useTmux: CONFIG.serviceMultiplexer == "tmux"
+	};
+}
+
+/**
+ * Returns variables describing the modpack and the build.
+ */
+const getPackVariables = () => {
+	const modLoader = getModLoader();
+	const ci = getCIContext(CONFIG.buildSourceDirectory);
+
+	const commit = ci.commit || "unknown";
+
+	const vars = {
+		packName: MODPACK_MANIFEST.name
+		, packVersion: MODPACK_MANIFEST.version
+		, packAuthor: MODPACK_MANIFEST.author
+		, minecraftVersion: MODPACK_MANIFEST.minecraft.version
+		, modLoader: modLoader ? modLoader.backend.name : ""
+		, modLoaderVersion: modLoader ? modLoader.version : ""
+		, gitCommit: commit
+		, gitShortCommit: commit.substring(0, 7)
+		, gitBranch: ci.branch || "unknown"
+		, gitTag: ci.tag || ""
+		, repoName: (ci.slug && ci.slug.split("/").pop()) || MODPACK_MANIFEST.name.replace(/[^\w.-]+/g, "-")
+		, snapshot: !ci.tag
+		, variant: LOCAL_STORAGE.variant ? LOCAL_STORAGE.variant.name : ""
+	};
+
+	/**
+	 * Variants append their suffix to whatever the template renders.
+	 */
+	const clientArchive = renderArchiveName(CONFIG.archiveNameTemplate, vars, "client") + getArchiveSuffix();
+	const serverArchive = renderArchiveName(CONFIG.archiveNameTemplate, vars, "server") + getArchiveSuffix();
+	const mrpackArchive = renderArchiveName(CONFIG.archiveNameTemplate, vars, "mrpack") + getArchiveSuffix();
+	const multimcArchive = renderArchiveName(CONFIG.archiveNameTemplate, vars, "multimc") + getArchiveSuffix();
+
+	return {
+		...vars
+		, archiveName: serverArchive
+		, clientArchive: clientArchive
+		, serverArchive: serverArchive
+		, mrpackArchive: mrpackArchive
+		, multimcArchive: multimcArchive
+	};
+}
+
+/**
+ * Adds custom variables from `CONFIG.templateVariables` on top.
+ * They may override built-in ones.
+ *
+ * @param {Object.<string, any>} context
+ */
+const applyCustomVariables = (context) => {
+	Object.keys(CONFIG.templateVariables || {}).forEach((key) => {
+		if (context[key] !== undefined) {
+			log.warn(`Custom template variable ${key} overrides a built-in one.`);
+		}
+
+		context[key] = CONFIG.templateVariables[key];
+	});
+
+	return context;
+}
+
+/**
+ * Returns variables describing the modpack and the build,
+ * for templates outside of the server, e.g. deploy display names.
+ *
+ * @returns {Object.<string, any>}
+ */
+exports.getPackContext = () => {
+	return applyCustomVariables(getPackVariables());
+}
+
+/**
+ * Returns pack variables for deploy tasks.
+ *
+ * Archive names are read from build-manifest.json, so deploys pick up
+ * whatever the build wrote, even if they run in another process or job.
+ * With variants, those are the archives of the first variant.
+ *
+ * @returns {Object.<string, any>}
+ */
+exports.getReleaseContext = () => {
+	const context = exports.getPackContext();
+	const manifest = readBuildManifest(CONFIG.buildDestinationDirectory);
+
+	if (!manifest || !Array.isArray(manifest.archives)) {
+		log.warn(`${BUILD_MANIFEST_FILE} not found, working out archive names again.`);
+		return context;
+	}
+
+	const client = manifest.archives.find(archive => archive.side == "client");
+	const server = manifest.archives.find(archive => archive.side == "server");
+	const mrpack = manifest.archives.find(archive => archive.side == "mrpack");
+	const multimc = manifest.archives.find(archive => archive.side == "multimc");
+
+	if (client) {
+		context.clientArchive = client.name;
+	}
+
+	if (server) {
+		context.serverArchive = server.name;
+		context.archiveName = server.name;
+	}
+
+	if (mrpack) {
+		context.mrpackArchive = mrpack.name;
+	}
+
+	if (multimc) {
+		context.multimcArchive = multimc.name;
+	}
+
+	return context;
+}
+
+/**
+ * Returns variables available to launch scripts and server files.
+ *
+ * @returns {Object.<string, any>}
+ */
+exports.getTemplateContext = () => {
+	return applyCustomVariables({
+		...getPackVariables()
+		, ...getLaunchVariables()
+		, ...getServiceVariables()
+	});
+}
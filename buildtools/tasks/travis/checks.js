@@ -1,23 +1,42 @@
+const log = require("fancy-log");
+
+const { getCIContext } = require("../../util/ci.js");
+const { MOD_REPOSITORY } = require("../common.js");
+
 const vars = [
 	"GITHUB_TOKEN",
-	"TRAVIS_REPO_SLUG",
-	"TRAVIS_COMMIT",
-	"TRAVIS_BRANCH",
 ]
 
 /**
- * Check required env. variables for vailidity and cancel
- * the build if something is unset.
+ * Check required env. variables and the build context for
+ * vailidity and cancel the build if something is unset.
  */
 function checkEnvironmentalVariables(cb) {
-	vars.forEach(vari => {
+	for (const vari of vars) {
 		if (!process.env[vari] || process.env[vari] == "") {
-			cb(`Environmental variable ${vari} is unset.`);
+			return cb(`Environmental variable ${vari} is unset.`);
 		}
-	})
+	}
+
+	try {
+		MOD_REPOSITORY.checkCredentials();
+	} catch (err) {
+		return cb(err.message);
+	}
+
+	const ci = getCIContext(CONFIG.buildSourceDirectory);
+	log(`Building ${ci.slug || "unknown repository"} on ${ci.provider}.`);
+
+	if (!ci.slug || !(/.+\/.+/.exec(ci.slug))) {
+		return cb(`No/malformed repository slug.`);
+	}
+
+	if (!ci.commit) {
+		return cb(`Couldn't work out the commit being built.`);
+	}
 
-	if (!(/.+\/.+/.exec(process.env.TRAVIS_REPO_SLUG))) {
-		cb(`Malformed repository slug.`);
+	if (!ci.branch && !ci.tag) {
+		return cb(`Couldn't work out the branch or tag being built.`);
 	}
 
 	cb();
@@ -0,0 +1,103 @@
+const del      = require("del");
+const log      = require("fancy-log");
+
+const { applyManifestOverlay, findSuffixClash, getArchiveSuffix } = require("../../util/variants.js");
+const {
+	SERVER_DEST_FOLDER,
+	CLIENT_DEST_FOLDER
+} = require("../common.js");
+
+/**
+ * manifest.json as it is, before any overlay.
+ */
+const BASE_MANIFEST = MODPACK_MANIFEST;
+
+/**
+ * Creates a task switching the build to the given variant.
+ *
+ * Applies its manifest overlay, picks its override folders and archive
+ * suffix, and clears client and server folders left by the previous variant.
+ * Temp files and downloads stay, so variants share them.
+ *
+ * @param {import("../../util/variants.js").VariantDef} variant
+ * @param {number} index Index in `CONFIG.buildVariants`, for diagnostics.
+ */
+const useVariant = (variant, index) => {
+	const task = (cb) => {
+		const overlay = applyManifestOverlay(BASE_MANIFEST, variant.manifest, `buildVariants[${index}].manifest`);
+
+		const errors = overlay.diagnostics.filter(x => x.severity == "error");
+		overlay.diagnostics
+			.filter(x => x.severity == "warning")
+			.forEach(x => log.warn(`Config: ${x.path}: ${x.message}`));
+
+		if (errors.length > 0) {
+			errors.forEach(x => log.error(`Config: ${x.path}: ${x.message}`));
+			return cb(`Variant ${variant.name} has ${errors.length} errors.`);
+		}
+
+		global.MODPACK_MANIFEST = overlay.manifest;
+		LOCAL_STORAGE.variant = {
+			...variant
+			, archiveSuffix: getArchiveSuffix(variant)
+		};
+
+		log(`Building variant ${variant.name} (${MODPACK_MANIFEST.files.length} mods)...`);
+
+		del([SERVER_DEST_FOLDER, CLIENT_DEST_FOLDER], { force: true }).then(() => cb());
+	};
+
+	task.displayName = `useVariant:${variant.name}`;
+	return task;
+}
+
+/**
+ * Goes back to the plain manifest.json once every variant is built.
+ */
+function resetVariant(cb) {
+	global.MODPACK_MANIFEST = BASE_MANIFEST;
+	delete LOCAL_STORAGE.variant;
+
+	cb();
+}
+
+/**
+ * Makes sure variants don't overwrite each other's archives.
+ */
+function checkVariants(cb) {
+	const clash = findSuffixClash(CONFIG.buildVariants);
+	if (clash) {
+		return cb(`Variants ${clash[0].name} and ${clash[1].name} have the same archive suffix.`);
+	}
+
+	if (!CONFIG.downloaderUseCache) {
+		log.warn("The download cache is disabled, every variant is going to download its mods again.");
+	}
+
+	cb();
+}
+
+/**
+ * Repeats the given tasks for every variant in `CONFIG.buildVariants`.
+ *
+ * Returns the tasks as they are if there are no variants.
+ *
+ * @param {Function[]} tasks
+ * @returns {Function[]}
+ */
+const forEachVariant = (tasks) => {
+	const variants = CONFIG.buildVariants || [];
+	if (variants.length == 0) {
+		return tasks;
+	}
+
+	return [
+		checkVariants,
+		...variants.flatMap((variant, index) => [useVariant(variant, index), ...tasks]),
+		resetVariant
+	];
+}
+
+module.exports = {
+	forEachVariant: forEachVariant
+}
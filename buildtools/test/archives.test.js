@@ -0,0 +1,133 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const unzip = require("unzipper");
+const zip = require("gulp-zip");
+
+const { src } = require("gulp");
+const { getArchiveDate, reproducible } = require("../util/archives.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+/**
+ * Runs the given function with env. variables set, restoring them afterwards.
+ */
+const withEnv = (values, fn) => {
+	const previous = {};
+	Object.keys(values).forEach((name) => {
+		previous[name] = process.env[name];
+
+		if (values[name] === undefined) {
+			delete process.env[name];
+		} else {
+			process.env[name] = values[name];
+		}
+	});
+
+	const restore = () => Object.keys(previous).forEach((name) => {
+		if (previous[name] === undefined) {
+			delete process.env[name];
+		} else {
+			process.env[name] = previous[name];
+		}
+	});
+
+	return Promise.resolve()
+		.then(fn)
+		.finally(restore);
+}
+
+/**
+ * Collects every file a stream outputs.
+ */
+const collect = (stream) => new Promise((resolve, reject) => {
+	const files = [];
+
+	stream
+		.on("data", file => files.push(file))
+		.on("end", () => resolve(files))
+		.on("error", reject);
+});
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "archives-test-"));
+const file = (name) => path.join(tmp, name);
+
+fs.mkdirSync(file("a"));
+fs.writeFileSync(file("b.txt"), "b");
+fs.writeFileSync(file("a/c.sh"), "#!/bin/sh");
+fs.writeFileSync(file("A.txt"), "A");
+fs.chmodSync(file("b.txt"), 0o600);
+fs.chmodSync(file("A.txt"), 0o664);
+fs.chmodSync(file("a/c.sh"), 0o700);
+
+/**
+ * Zips the temp folder like zipClient does.
+ */
+const zipFolder = () => collect(src(path.join(tmp, "**/*").replace(/\\/g, "/"), { base: tmp })
+	.pipe(reproducible())
+	.pipe(zip("test.zip")))
+	.then(files => files[0].contents);
+
+/**
+ * Sets every file's mtime.
+ */
+const touch = (date) => ["a", "b.txt", "a/c.sh", "A.txt"].forEach(name => fs.utimesSync(file(name), date, date));
+
+/**
+ * DOS date and time fields of 2020-09-13T12:26:40Z.
+ */
+const DOS_DATE = (40 << 9) | (9 << 5) | 13;
+const DOS_TIME = (12 << 11) | (26 << 5) | (40 / 2);
+
+module.exports = withEnv({ SOURCE_DATE_EPOCH: undefined }, () => {
+	check(getArchiveDate().toISOString(), "1980-01-01T00:00:00.000Z", "Defaults to the zip epoch");
+})
+	.then(() => withEnv({ SOURCE_DATE_EPOCH: "1600000000" }, () => {
+		check(getArchiveDate().toISOString(), "2020-09-13T12:26:40.000Z", "SOURCE_DATE_EPOCH");
+	}))
+	.then(() => withEnv({ SOURCE_DATE_EPOCH: "0" }, () => {
+		check(getArchiveDate().toISOString(), "1980-01-01T00:00:00.000Z", "Dates before the zip epoch");
+	}))
+	.then(() => withEnv({ SOURCE_DATE_EPOCH: "soon" }, () => {
+		check(getArchiveDate().toISOString(), "1980-01-01T00:00:00.000Z", "Malformed SOURCE_DATE_EPOCH");
+	}))
+	.then(() => withEnv({ TZ: "Asia/Tokyo" }, () => {
+		return collect(src(path.join(tmp, "**/*").replace(/\\/g, "/"), { base: tmp })
+			.pipe(reproducible(new Date("2020-09-13T12:26:40Z"))))
+			.then((files) => {
+				check(files.map(file => file.relative.replace(/\\/g, "/")), ["A.txt", "a", "a/c.sh", "b.txt"], "Sorted by path");
+				check(files.map(file => file.stat.mode), [0o100644, 0o40755, 0o100755, 0o100644], "Normalized modes");
+				check(files.map(file => file.stat.mtime.getHours()), [12, 12, 12, 12], "Local times match the UTC date");
+			});
+	}))
+	.then(() => withEnv({ SOURCE_DATE_EPOCH: "1600000000", TZ: "America/New_York" }, () => {
+		touch(new Date("2001-02-03T04:05:06Z"));
+		return zipFolder();
+	}))
+	.then(first => withEnv({ SOURCE_DATE_EPOCH: "1600000000", TZ: "Asia/Tokyo" }, () => {
+		touch(new Date("2011-12-13T14:15:16Z"));
+
+		return zipFolder().then((second) => {
+			check(Buffer.compare(first, second), 0, "Same archive regardless of mtimes and the time zone");
+			return unzip.Open.buffer(second);
+		});
+	}))
+	.then((directory) => {
+		check(directory.files.map(entry => entry.path), ["A.txt", "a/", "a/c.sh", "b.txt"], "Zip entry order");
+		check(directory.files.map(entry => [entry.lastModifiedDate, entry.lastModifiedTime]),
+			Array(4).fill([DOS_DATE, DOS_TIME]), "Zip entry timestamps");
+		check(directory.files.map(entry => entry.externalFileAttributes >>> 16), [0o100644, 0o40755, 0o100755, 0o100644],
+			"Zip entry modes");
+
+		console.log(`archives.test.js: ${checks} checks passed.`);
+	})
+	.finally(() => {
+		["a/c.sh", "b.txt", "A.txt"].forEach(name => fs.unlinkSync(file(name)));
+		fs.rmdirSync(file("a"));
+		fs.rmdirSync(tmp);
+	});
@@ -0,0 +1,117 @@
+const assert = require("assert");
+
+const { resolveConfig, parseEnvValue, toEnvName } = require("../util/config.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+const warning = (path, message) => ({ severity: "warning", path: path, message: message });
+const error = (path, message) => ({ severity: "error", path: path, message: message });
+
+check(toEnvName("downloaderMaxRetries"), "MPBT_DOWNLOADER_MAX_RETRIES", "Camel case");
+check(toEnvName("launchscriptsJVMArgs"), "MPBT_LAUNCHSCRIPTS_JVM_ARGS", "Acronyms");
+check(toEnvName("offline"), "MPBT_OFFLINE", "Single words");
+
+check(parseEnvValue("8", { type: "integer" }), 8, "Numbers");
+check(parseEnvValue("false", { type: "boolean" }), false, "Booleans");
+check(parseEnvValue("[\"a\", 1]", { type: "array" }), ["a", 1], "Arrays");
+check(parseEnvValue("[1]", { type: "string" }), "[1]", "Strings are taken as they are");
+check(parseEnvValue("null", { type: ["string", "null"] }), null, "Nulls of nullable keys");
+check(parseEnvValue("null", { type: "string" }), "null", "Nulls of other keys");
+assert.throws(() => parseEnvValue("yes", { type: "boolean" }), /^Error: Expected boolean in JSON, got "yes"\.$/);
+checks++;
+
+const DEFAULTS = {
+	downloaderMaxRetries: 5
+	, downloaderConcurrency: 3
+	, offline: false
+	, modRepositoryUrl: "https://api.example.com/"
+	, modRepositoryApiKey: null
+	, profiles: {
+		ci: { downloaderConcurrency: 10, offline: true }
+	}
+};
+
+let resolved = resolveConfig({ defaults: DEFAULTS });
+check(resolved.config.downloaderMaxRetries, 5, "Defaults");
+check(resolved.sources.downloaderMaxRetries, "config.default.js", "Default sources");
+check(resolved.diagnostics, [], "No diagnostics");
+
+resolved = resolveConfig({
+	defaults: DEFAULTS
+	, custom: { downloaderMaxRetries: 1, downloaderConcurrency: 2, offline: false }
+	, profile: "ci"
+	, env: {
+		MPBT_DOWNLOADER_CONCURRENCY: "20"
+		, MPBT_OFFLINE: "false"
+		, CURSEFORGE_API_URL: "https://alias.example.com/"
+		, CURSEFORGE_API_KEY: "alias"
+		, MPBT_MOD_REPOSITORY_API_KEY: "prefixed"
+		, MPBT_PROFILE: "ci"
+		, PATH: "/usr/bin"
+	}
+	, overrides: [{ source: "--offline", values: { offline: true } }]
+});
+
+check(resolved.config, {
+	downloaderMaxRetries: 1
+	, downloaderConcurrency: 20
+	, offline: true
+	, modRepositoryUrl: "https://alias.example.com/"
+	, modRepositoryApiKey: "prefixed"
+	, profiles: DEFAULTS.profiles
+}, "Later layers win");
+check(resolved.sources, {
+	downloaderMaxRetries: "config.js"
+	, downloaderConcurrency: "MPBT_DOWNLOADER_CONCURRENCY"
+	, offline: "--offline"
+	, modRepositoryUrl: "CURSEFORGE_API_URL"
+	, modRepositoryApiKey: "MPBT_MOD_REPOSITORY_API_KEY"
+	, profiles: "config.default.js"
+}, "Sources of every layer");
+check(resolved.diagnostics, [], "No diagnostics");
+
+check(resolveConfig({ defaults: DEFAULTS, profile: "ci" }).sources.downloaderConcurrency, "profile ci", "Profile sources");
+check(resolveConfig({ defaults: DEFAULTS, env: { MPBT_MOD_REPOSITORY_API_KEY: "null", CURSEFORGE_API_KEY: "alias" } })
+	.config.modRepositoryApiKey, null, "Nulls from env. variables");
+
+check(resolveConfig({
+	defaults: DEFAULTS
+	, custom: { downloaderRetries: 3 }
+	, env: { MPBT_DOWNLOADER_RETRIES: "3" }
+}).diagnostics, [
+	warning("config.js: $.downloaderRetries", "Unknown config key, ignoring."),
+	warning("MPBT_DOWNLOADER_RETRIES", "Env. variable doesn't match any config key, ignoring."),
+], "Unknown keys are warnings");
+
+check(resolveConfig({ defaults: DEFAULTS, profile: "release" }).diagnostics, [
+	error("config.default.js: $.profiles", "Unknown profile release. (expected one of ci)"),
+], "Unknown profiles");
+check(resolveConfig({ defaults: { ...DEFAULTS, profiles: {} }, profile: "ci" }).diagnostics, [
+	error("config.default.js: $.profiles", "Unknown profile ci. (no profiles defined)"),
+], "No profiles");
+
+resolved = resolveConfig({
+	defaults: DEFAULTS
+	, custom: { profiles: { ci: { offline: true, profiles: {} } } }
+	, profile: "ci"
+});
+check(resolved.diagnostics, [warning("profile ci: $.profiles", "Profiles can't define profiles, ignoring.")], "Nested profiles");
+check(resolved.config.profiles, { ci: { offline: true, profiles: {} } }, "Nested profiles are ignored");
+
+check(resolveConfig({
+	defaults: DEFAULTS
+	, custom: { downloaderConcurrency: 0 }
+	, env: { MPBT_OFFLINE: "yes", CURSEFORGE_API_URL: "ftp://example.com/" }
+}).diagnostics, [
+	error("MPBT_OFFLINE", "Expected boolean in JSON, got \"yes\"."),
+	error("config.js: $.downloaderConcurrency", "Expected at least 1, got 0."),
+	error("CURSEFORGE_API_URL: $.modRepositoryUrl", "Malformed value \"ftp://example.com/\". (expected an http(s) URL)"),
+], "Invalid values are errors");
+
+check(resolveConfig({ defaults: require("../config.default.js") }).diagnostics, [], "config.default.js is valid");
+
+console.log(`config.test.js: ${checks} checks passed.`);
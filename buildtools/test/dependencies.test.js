@@ -0,0 +1,58 @@
+const assert = require("assert");
+
+const { findDependencyProblems } = require("../util/dependencies.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+const mod = (projectID, side, dependencies = []) => ({
+	file: { projectID: projectID }
+	, fileInfo: { dependencies: dependencies.map(([projectID, type]) => ({ projectID: projectID, type: type })) }
+	, side: side
+});
+
+const nameOf = (projectID) => `P${projectID}`;
+
+check(findDependencyProblems([
+	mod(1, "both", [[2, "required"], [1, "required"]]),
+	mod(2, "both"),
+], nameOf), { errors: [], optional: [] }, "Present dependencies, self-references are ignored");
+
+check(findDependencyProblems([
+	mod(1, "both", [[2, "required"]]),
+], nameOf).errors, ["P1 requires P2, which is missing."], "Missing dependencies");
+
+check(findDependencyProblems([
+	mod(1, "both", [[2, "required"]]),
+	mod(2, "client"),
+], nameOf).errors, ["P1 requires P2, which is missing on the server."], "Dependencies missing on a side");
+
+check(findDependencyProblems([
+	mod(1, "both", [[2, "required"]]),
+	mod(2, "server"),
+], nameOf).errors, ["P1 requires P2, which is missing on the client."], "Dependencies missing on the other side");
+
+check(findDependencyProblems([
+	mod(1, "client", [[2, "required"]]),
+	mod(2, "client"),
+], nameOf).errors, [], "Client-only mods only need client dependencies");
+
+check(findDependencyProblems([
+	mod(1, "server", [[2, "required"]]),
+	mod(2, "both"),
+], nameOf).errors, [], "Dependencies on both sides");
+
+check(findDependencyProblems([
+	mod(1, "both", [[2, "incompatible"], [3, "incompatible"]]),
+	mod(2, "server"),
+], nameOf).errors, ["P1 is incompatible with P2."], "Incompatible mods, only if present");
+
+check(findDependencyProblems([
+	mod(1, "both", [[2, "optional"], [3, "optional"], [4, "embedded"]]),
+	mod(2, "client"),
+], nameOf), { errors: [], optional: ["P1 optionally uses P2."] }, "Optional dependencies, only if present");
+
+console.log(`dependencies.test.js: ${checks} checks passed.`);
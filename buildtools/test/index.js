@@ -0,0 +1,17 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Runs every *.test.js file in this folder, one after another.
+ *
+ * Asynchronous tests export a promise.
+ */
+const files = fs.readdirSync(__dirname)
+	.filter(file => file.endsWith(".test.js"))
+	.sort();
+
+files.reduce((previous, file) => previous.then(() => require(path.join(__dirname, file))), Promise.resolve())
+	.catch((err) => {
+		console.error(err);
+		process.exitCode = 1;
+	});
@@ -0,0 +1,118 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { validate, joinPath } = require("../util/schema.js");
+const { lintManifest } = require("../util/manifest.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+const error = (path, message) => ({ severity: "error", path: path, message: message });
+
+check(joinPath("$", "files"), "$.files", "Plain keys");
+check(joinPath("$", "my-key"), "$[\"my-key\"]", "Quoted keys");
+
+check(validate(1.5, { type: ["integer", "string"] }), [error("$", "Expected integer or string, got number.")], "Any of several types");
+check(validate(null, { type: "object" }), [error("$", "Expected object, got null.")], "Nulls aren't objects");
+check(validate("x", { type: "string", pattern: /^\d+$/, hint: "e.g. 42" }), [error("$", "Malformed value \"x\". (e.g. 42)")],
+	"Pattern hints");
+check(validate(0, { minimum: 1, maximum: -1 }), [
+	error("$", "Expected at least 1, got 0."),
+	error("$", "Expected at most -1, got 0."),
+], "Every problem is reported");
+check(validate({ a: 1, b: "2" }, { values: { type: "number" } }), [error("$.b", "Expected number, got string.")], "Maps");
+check(validate({ list: [1, "x"] }, { properties: { list: { items: { type: "integer" } }, name: { required: true } } }), [
+	error("$.list[1]", "Expected integer, got string."),
+	error("$.name", "Missing required property."),
+], "Nested paths");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-test-"));
+fs.mkdirSync(path.join(tmp, "overrides"));
+
+const OPTIONS = { sourceDirectory: tmp.replace(/\\/g, "/") };
+
+const MANIFEST = {
+	minecraft: {
+		version: "1.12.2"
+		, modLoaders: [{ id: "forge-14.23.5.2847", primary: true }]
+	}
+	, manifestType: "minecraftModpack"
+	, manifestVersion: 1
+	, name: "Example"
+	, version: "1.0.0"
+	, author: "Someone"
+	, files: [
+		{ projectID: 1, fileID: 10, required: true },
+		{ projectID: 2, fileID: 20, required: true, side: "client" },
+	]
+	, overrides: "overrides"
+};
+
+/**
+ * Lints a copy of the manifest changed by the given function.
+ */
+const lint = (change) => {
+	const manifest = JSON.parse(JSON.stringify(MANIFEST));
+	change(manifest);
+
+	return lintManifest(manifest, OPTIONS);
+}
+
+try {
+	check(lint(() => {}), [], "Valid manifests");
+	check(lint(manifest => delete manifest.overrides), [], "The overrides folder defaults to overrides");
+
+	check(lint(manifest => manifest.minecraft.version = "1.12.2-pre1"), [
+		error("$.minecraft.version", "Malformed value \"1.12.2-pre1\". (e.g. 1.12.2)"),
+	], "Minecraft versions");
+	check(lint(manifest => manifest.minecraft.modLoaders[0].id = "forge"), [
+		error("$.minecraft.modLoaders[0].id", "Malformed value \"forge\". (expected <loader>-<version>, e.g. forge-14.23.5.2847)"),
+	], "Mod loader IDs");
+	check(lint(manifest => manifest.manifestVersion = 2), [
+		error("$.manifestVersion", "Unknown value 2, expected one of 1."),
+	], "Manifest versions");
+	check(lint(manifest => delete manifest.author), [error("$.author", "Missing required property.")], "Missing properties");
+	check(lint(manifest => manifest.files[0].projectID = "1"), [
+		error("$.files[0].projectID", "Expected integer, got string."),
+	], "Project IDs");
+	check(lint(manifest => manifest.files[1].side = "nowhere"), [
+		error("$.files[1].side", "Unknown value \"nowhere\", expected one of \"client\", \"server\", \"both\"."),
+	], "Sides");
+
+	check(lint(manifest => manifest.minecraft.modLoaders = []), [
+		error("$.minecraft.modLoaders", "No mod loaders defined."),
+	], "No mod loaders");
+	check(lint(manifest => manifest.minecraft.modLoaders[0].primary = false), [
+		error("$.minecraft.modLoaders", "No primary mod loader. Set \"primary\": true on one of them."),
+	], "No primary mod loader");
+	check(lint(manifest => manifest.minecraft.modLoaders.push({ id: "fabric-0.11.0", primary: true })), [
+		error("$.minecraft.modLoaders", "2 mod loaders are marked as primary, expected one."),
+	], "Several primary mod loaders");
+
+	check(lint(manifest => manifest.files.push({ projectID: 1, fileID: 11 })), [
+		error("$.files[2].projectID", "Duplicate project 1, already listed at $.files[0]."),
+	], "Duplicate projects");
+
+	check(lint(manifest => manifest.overrides = "missing"), [
+		error("$.overrides", `Overrides folder ${OPTIONS.sourceDirectory}/missing doesn't exist.`),
+	], "Missing overrides folders");
+	check(lint((manifest) => {
+		delete manifest.overrides;
+		fs.rmdirSync(path.join(tmp, "overrides"));
+	}), [error("$", `Overrides folder ${OPTIONS.sourceDirectory}/overrides doesn't exist.`)], "Missing default overrides folders");
+
+	check(lintManifest([], OPTIONS), [error("$", "Expected object, got array.")], "Malformed manifests");
+} finally {
+	if (fs.existsSync(path.join(tmp, "overrides"))) {
+		fs.rmdirSync(path.join(tmp, "overrides"));
+	}
+
+	fs.rmdirSync(tmp);
+}
+
+console.log(`manifest.test.js: ${checks} checks passed.`);
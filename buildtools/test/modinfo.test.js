@@ -0,0 +1,149 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yazl = require("yazl");
+
+const {
+	compareVersions
+	, inMavenRange
+	, matchesFabricPredicate
+	, parseModsToml
+	, supportsMinecraft
+	, inspectJars
+} = require("../util/modinfo.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+const MODS_TOML = `
+modLoader="javafml" # Comments after values are fine.
+loaderVersion="[36,)"
+license='All rights reserved'
+priority=1_000
+
+[[mods]]
+modId="alpha"
+version="\${file.jarVersion}"
+displayName="Alpha"
+description='''
+Line one.
+Line two.
+'''
+
+[[mods]]
+modId="beta"
+version="1.0"
+
+[[dependencies.alpha]]
+	modId="forge"
+	mandatory=true
+	versionRange="[36,)"
+
+[[dependencies.beta]]
+	modId="minecraft"
+	mandatory=true
+	versionRange="[1.12,1.13)"
+	ordering="NONE"
+`;
+
+const toml = parseModsToml(MODS_TOML);
+check(toml.modLoader, "javafml", "Strings with trailing comments");
+check(toml.license, "All rights reserved", "Literal strings");
+check(toml.priority, 1000, "Numbers with underscores");
+check(toml.mods.map(mod => mod.modId), ["alpha", "beta"], "Arrays of tables");
+check(toml.mods[0].description, "\nLine one.\nLine two.\n", "Multiline strings");
+check(toml.dependencies.alpha[0].mandatory, true, "Booleans");
+check(toml.dependencies.beta[0].versionRange, "[1.12,1.13)", "Dotted array headers");
+
+check(Math.sign(compareVersions("1.10", "1.9")), 1, "1.10 > 1.9");
+check(compareVersions("1.16", "1.16.0"), 0, "Missing parts count as 0");
+
+const RANGES = [
+	["1.16.5", "[1.16.5,1.17)", true],
+	["1.16.4", "[1.16.5,1.17)", false],
+	["1.17", "[1.16.5,1.17)", false],
+	["1.16.5", "(1.16.5,)", false],
+	["1.12.2", "(,1.12.2]", true],
+	["1.16.5", "[1.12,1.12.2],[1.16.5]", true],
+	["1.14", "[1.12,1.12.2],[1.16.5]", false],
+	["1.16.5", "1.12", true],
+];
+
+RANGES.forEach(([version, range, expected]) => check(inMavenRange(version, range), expected, `${version} in ${range}`));
+
+const PREDICATES = [
+	["1.16.5", ">=1.16.5", true],
+	["1.16.4", ">=1.16.5", false],
+	["1.16.5", "1.16.x", true],
+	["1.17", "1.16.x", false],
+	["1.16.5", "~1.16.2", true],
+	["1.17", "~1.16.2", false],
+	["1.18", "^1.16", true],
+	["2.0", "^1.16", false],
+	["1.16.5", ">=1.16 <1.17", true],
+	["1.17", ">=1.16 <1.17", false],
+	["1.17.1", ["1.16.5", "1.17.1"], true],
+	["1.16.5", "*", true],
+];
+
+PREDICATES.forEach(([version, predicate, expected]) => {
+	check(matchesFabricPredicate(version, predicate), expected, `${version} matches ${predicate}`);
+});
+
+check(supportsMinecraft({ minecraft: "1.12" }, "mcmod.info", "1.12.2"), true, "mcmod.info minor versions");
+check(supportsMinecraft({ minecraft: "1.7.10" }, "mcmod.info", "1.12.2"), false, "mcmod.info mismatches");
+check(supportsMinecraft({ minecraft: "${mcversion}" }, "mcmod.info", "1.12.2"), null, "Placeholders");
+check(supportsMinecraft({}, "mods.toml", "1.12.2"), null, "Undeclared versions");
+
+/**
+ * Writes a jar with the given entries.
+ */
+const writeJar = (file, entries) => new Promise((resolve, reject) => {
+	const zip = new yazl.ZipFile();
+	Object.entries(entries).forEach(([name, contents]) => zip.addBuffer(Buffer.from(contents), name));
+	zip.end();
+
+	zip.outputStream.pipe(fs.createWriteStream(file))
+		.on("close", resolve)
+		.on("error", reject);
+});
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "modinfo-test-"));
+const jar = (name) => path.join(tmp, name);
+
+module.exports = Promise.all([
+	writeJar(jar("a.jar"), {
+		"fabric.mod.json": JSON.stringify({ id: "alpha", depends: { minecraft: ">=1.16.5" } })
+	}),
+	writeJar(jar("b.jar"), {
+		"META-INF/mods.toml": MODS_TOML
+		, "META-INF/MANIFEST.MF": "Manifest-Version: 1.0\nImplementation-Version: 2.3.4\n"
+	}),
+	writeJar(jar("c.jar"), {
+		"mcmod.info": "[{\"modid\": \"gamma\", \"mcversion\": \"1.16.5\", \"description\": \"Raw\nline break\"},"
+			+ " {\"modid\": \"gamma\", \"mcversion\": \"1.16.5\"}]"
+	}),
+	writeJar(jar("d.jar"), { "Example.class": "" }),
+	fs.promises.writeFile(jar("e.jar"), "Not a jar."),
+])
+	.then(() => inspectJars(["a.jar", "b.jar", "c.jar", "d.jar", "e.jar"].map(jar), "1.16.5"))
+	.then((report) => {
+		check(report.jars.map(jar => jar.format), ["fabric.mod.json", "mods.toml", "mcmod.info", null, null], "Formats");
+		check(report.jars[1].mods[0].version, "2.3.4", "Versions from the jar manifest");
+		check(report.jars[2].mods.length, 2, "Lenient mcmod.info");
+		check(typeof report.jars[4].error, "string", "Unreadable jars");
+
+		check(report.duplicates, [{ id: "alpha", files: ["a.jar", "b.jar"] }], "Duplicate IDs across jars only");
+		check(report.versionMismatches, [{ file: "b.jar", id: "beta", minecraft: "[1.12,1.13)" }], "Version mismatches");
+		check(report.missingMetadata, ["d.jar", "e.jar"], "Jars without metadata");
+
+		console.log(`modinfo.test.js: ${checks} checks passed.`);
+	})
+	.finally(() => {
+		fs.readdirSync(tmp).forEach(file => fs.unlinkSync(jar(file)));
+		fs.rmdirSync(tmp);
+	});
@@ -0,0 +1,33 @@
+const assert = require("assert");
+
+const { getReleaseType } = require("../util/release.js");
+
+const TAGS = [
+	["v1.0.0", "release"],
+	["1.2.3", "release"],
+	["v2.0-arcane", "release"],
+	["v1.1.0-hotfix-search", "release"],
+	["v1.0.0-preset-fix", "release"],
+	["v1.0.0-alphabet", "release"],
+	["v1.0.0-alpha", "alpha"],
+	["v1.0.0-alpha.2", "alpha"],
+	["alpha3", "alpha"],
+	["v1.0.0-beta", "beta"],
+	["v1.0.0-BETA2", "beta"],
+	["v1.0.0-rc.1", "beta"],
+	["v1.0.0-rc1", "beta"],
+	["v1.0.0_pre", "beta"],
+	["v1.0.0-preview", "beta"],
+	["v1.0.0+prerelease.4", "beta"],
+];
+
+TAGS.forEach(([tag, type]) => {
+	assert.strictEqual(getReleaseType({ tag: tag }), type, `Tag ${tag}`);
+});
+
+assert.strictEqual(getReleaseType({ branch: "master" }), "alpha");
+assert.strictEqual(getReleaseType({ branch: "stable" }, { branches: { stable: "release" } }), "release");
+assert.strictEqual(getReleaseType({ tag: "v1.0.0-beta" }, { override: "release" }), "release");
+assert.throws(() => getReleaseType({ branch: "master" }, { override: "gold" }), /Unknown release type gold/);
+
+console.log(`release.test.js: ${TAGS.length + 4} checks passed.`);
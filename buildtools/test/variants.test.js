@@ -0,0 +1,92 @@
+const assert = require("assert");
+const path = require("path");
+
+const {
+	applyManifestOverlay
+	, findOverridesFolder
+	, findSuffixClash
+	, getArchiveSuffix
+} = require("../util/variants.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+const MANIFEST = {
+	name: "Example"
+	, files: [
+		{ projectID: 1, fileID: 10, required: true },
+		{ projectID: 2, fileID: 20, required: true },
+		{ projectID: 3, fileID: 30, required: false },
+	]
+};
+
+const snapshot = JSON.stringify(MANIFEST);
+
+let result = applyManifestOverlay(MANIFEST, {
+	add: [{ projectID: 4, fileID: 40 }, { projectID: 2, fileID: 21 }]
+	, remove: [3]
+}, "buildVariants[0].manifest");
+
+check(result.manifest.files, [
+	{ projectID: 1, fileID: 10, required: true },
+	{ projectID: 4, fileID: 40, required: true },
+	{ projectID: 2, fileID: 21, required: true },
+], "Adds, replaces and removes");
+check(result.manifest.name, "Example", "Keeps the rest of the manifest");
+check(result.diagnostics, [], "No diagnostics");
+check(JSON.stringify(MANIFEST), snapshot, "Leaves the manifest untouched");
+
+check(applyManifestOverlay(MANIFEST, { add: [{ projectID: 4, fileID: 40, required: false }] }).manifest.files[3].required,
+	false, "Keeps explicit required flags");
+
+check(applyManifestOverlay(MANIFEST).manifest.files, MANIFEST.files, "No overlay");
+
+result = applyManifestOverlay(MANIFEST, { remove: [5] }, "buildVariants[1].manifest");
+check(result.diagnostics, [{
+	severity: "warning"
+	, path: "buildVariants[1].manifest.remove"
+	, message: "Project 5 isn't in manifest.json, nothing to remove."
+}], "Removing missing projects warns");
+check(result.manifest.files, MANIFEST.files, "Removing missing projects changes nothing");
+
+result = applyManifestOverlay(MANIFEST, { add: [{ projectID: 4, fileID: 40 }, { projectID: 4, fileID: 41 }] });
+check(result.diagnostics, [{
+	severity: "error"
+	, path: "$.add[1]"
+	, message: "Project 4 is added more than once."
+}], "Duplicate adds are errors");
+
+check(getArchiveSuffix({ name: "lite" }), "-lite", "Default suffix");
+check(getArchiveSuffix({ name: "full", archiveSuffix: "" }), "", "Empty suffix");
+
+const LITE = { name: "lite" };
+const FULL = { name: "full", archiveSuffix: "" };
+const SMALL = { name: "small", archiveSuffix: "-lite" };
+
+check(findSuffixClash([LITE, FULL]), null, "Different suffixes");
+check(findSuffixClash([LITE, FULL, SMALL]), [LITE, SMALL], "Explicit suffix clashing with a default one");
+check(findSuffixClash([FULL, { name: "other", archiveSuffix: "" }]), [FULL, { name: "other", archiveSuffix: "" }],
+	"Empty suffixes clash too");
+
+const POSIX_FOLDERS = ["/pack/overrides", "/pack/variants/lite", "/pack/variants/lite/nested"];
+
+check(findOverridesFolder(POSIX_FOLDERS, "/pack/overrides/config/a.cfg", path.posix), "/pack/overrides", "Modpack overrides");
+check(findOverridesFolder(POSIX_FOLDERS, "/pack/variants/lite/config/a.cfg", path.posix), "/pack/variants/lite",
+	"Variant overrides");
+check(findOverridesFolder(POSIX_FOLDERS, "/pack/variants/lite/nested/a.cfg", path.posix), "/pack/variants/lite/nested",
+	"Nested folders pick the deepest one");
+check(findOverridesFolder(POSIX_FOLDERS, "/pack/overrides-extra/a.cfg", path.posix), undefined, "Sibling folders with the same prefix");
+check(findOverridesFolder(POSIX_FOLDERS, "/pack/overrides", path.posix), undefined, "The folder itself");
+
+const WIN32_FOLDERS = ["C:\\pack\\overrides", "C:\\pack\\variants\\lite"];
+
+check(findOverridesFolder(WIN32_FOLDERS, "C:\\pack\\variants\\lite\\config\\a.cfg", path.win32), "C:\\pack\\variants\\lite",
+	"Windows paths");
+check(findOverridesFolder(WIN32_FOLDERS, "c:\\PACK\\overrides\\a.cfg", path.win32), "C:\\pack\\overrides",
+	"Windows paths are case-insensitive");
+check(findOverridesFolder(WIN32_FOLDERS, "D:\\pack\\overrides\\a.cfg", path.win32), undefined, "Other drives");
+
+console.log(`variants.test.js: ${checks} checks passed.`);
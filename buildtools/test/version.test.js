@@ -0,0 +1,55 @@
+const assert = require("assert");
+
+const { bumpVersion, parseVersion, replaceVersion } = require("../util/version.js");
+
+let checks = 0;
+const check = (actual, expected, message) => {
+	assert.deepStrictEqual(actual, expected, message);
+	checks++;
+}
+
+check(parseVersion("1.2.3-beta.1"), { major: 1, minor: 2, patch: 3, prerelease: "beta.1" }, "Pre-releases");
+check(parseVersion("1.2"), null, "Incomplete versions");
+
+const BUMPS = [
+	["1.2.3", "patch", "1.2.4"],
+	["1.2.3", "minor", "1.3.0"],
+	["1.2.3", "major", "2.0.0"],
+	["1.2.3-beta", "patch", "1.2.3"],
+	["1.3.0-beta", "minor", "1.3.0"],
+	["1.3.1-beta", "minor", "1.4.0"],
+	["2.0.0-rc.1", "major", "2.0.0"],
+	["2.1.0-rc.1", "major", "3.0.0"],
+	["1.2.3", "2.0.0-alpha.1", "2.0.0-alpha.1"],
+	["1.2.3", "v1.5.0", "1.5.0"],
+	["not-a-version", "1.0.0", "1.0.0"],
+];
+
+BUMPS.forEach(([current, bump, expected]) => check(bumpVersion(current, bump), expected, `${current} bumped by ${bump}`));
+
+assert.throws(() => bumpVersion("1.2", "patch"), /^Error: Can't bump version 1\.2, expected major\.minor\.patch\.$/);
+assert.throws(() => bumpVersion("1.2.3", "1.3"), /^Error: Malformed version 1\.3, expected major, minor, patch or major\.minor\.patch\.$/);
+checks += 2;
+
+const CONFIG = `title = "Pack 1.2.3"
+version = "1.2.3"
+# Needs Forge 1.2.3 or later.
+`;
+
+check(replaceVersion(CONFIG, undefined, "1.2.3", "1.3.0"), {
+	contents: "title = \"Pack 1.3.0\"\nversion = \"1.3.0\"\n# Needs Forge 1.3.0 or later.\n"
+	, matches: 3
+}, "Every occurrence without a pattern");
+
+check(replaceVersion(CONFIG, "version = \"{{version}}\"", "1.2.3", "1.3.0"), {
+	contents: "title = \"Pack 1.2.3\"\nversion = \"1.3.0\"\n# Needs Forge 1.2.3 or later.\n"
+	, matches: 1
+}, "Occurrences within the pattern only");
+
+check(replaceVersion("v1.2.3 v1x2x3", "v{{version}}", "1.2.3", "1.3.0"), { contents: "v1.3.0 v1x2x3", matches: 1 },
+	"Dots aren't wildcards");
+check(replaceVersion("a (1.2.3) $1", "({{version}})", "1.2.3", "$&"), { contents: "a ($&) $1", matches: 1 },
+	"Special characters are taken literally");
+check(replaceVersion(CONFIG, "release {{version}}", "1.2.3", "1.3.0"), { contents: CONFIG, matches: 0 }, "No matches");
+
+console.log(`version.test.js: ${checks} checks passed.`);
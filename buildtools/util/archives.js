@@ -0,0 +1,82 @@
+const through  = require("through2");
+
+/**
+ * Earliest date zip files can store.
+ */
+const ZIP_EPOCH = Date.UTC(1980, 0, 1);
+
+/**
+ * Returns the timestamp to give every archive entry.
+ *
+ * Uses the SOURCE_DATE_EPOCH env. variable (seconds) if set,
+ * otherwise the earliest date zip files can store.
+ *
+ * @returns {Date}
+ */
+exports.getArchiveDate = () => {
+	const epoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+
+	return new Date(isNaN(epoch) ? ZIP_EPOCH : Math.max(epoch * 1000, ZIP_EPOCH));
+}
+
+/**
+ * Turns a date into one with the same local time fields as the UTC ones.
+ *
+ * Zip entries store local time without a time zone, so this
+ * keeps archives identical regardless of the time zone they're built in.
+ *
+ * @param {Date} date
+ * @returns {Date}
+ */
+const toZipDate = (date) => new Date(
+	date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+	date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()
+);
+
+/**
+ * Normalizes permissions, keeping only whether a file is executable.
+ *
+ * @param {import("fs").Stats} [stat]
+ * @returns {number}
+ */
+const normalizeMode = (stat) => {
+	if (stat && stat.isDirectory && stat.isDirectory()) {
+		return 0o40755;
+	}
+
+	return stat && (stat.mode & 0o111) ? 0o100755 : 0o100644;
+}
+
+/**
+ * Makes archives reproducible.
+ *
+ * Buffers every file, then passes them on sorted by path, with the same
+ * timestamp and normalized permissions. Pipe into gulp-zip.
+ *
+ * @param {Date} [date] Timestamp of entries, see getArchiveDate.
+ */
+exports.reproducible = (date = exports.getArchiveDate()) => {
+	const files = [];
+	const mtime = toZipDate(date);
+
+	return through.obj((file, _, callback) => {
+		files.push(file);
+		callback();
+	}, function (callback) {
+		const pathOf = file => file.relative.replace(/\\/g, "/");
+
+		files
+			.sort((a, b) => pathOf(a) < pathOf(b) ? -1 : pathOf(a) > pathOf(b) ? 1 : 0)
+			.forEach((file) => {
+				const mode = normalizeMode(file.stat);
+
+				file.stat = file.stat || {};
+				file.stat.mode = mode;
+				file.stat.mtime = mtime;
+
+				this.push(file);
+			});
+
+		callback();
+	});
+}
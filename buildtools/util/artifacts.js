@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path").posix;
+
+const { render } = require("./templates.js");
+
+/**
+ * Written into the build folder at the end of every build.
+ */
+const BUILD_MANIFEST_FILE = "build-manifest.json";
+
+exports.BUILD_MANIFEST_FILE = BUILD_MANIFEST_FILE;
+
+/**
+ * Kinds of archives the build names, passed to archive name templates as `side`.
+ */
+const ARCHIVE_SIDES = ["client", "server", "mrpack", "multimc"];
+
+exports.ARCHIVE_SIDES = ARCHIVE_SIDES;
+
+/**
+ * @typedef {object} BuiltArchive
+ * @property {"client"|"server"|"mrpack"|"multimc"} side Kind of archive, see ARCHIVE_SIDES.
+ * @property {string} variant Variant name, empty outside of variant builds.
+ * @property {string} name Archive name without the extension.
+ */
+
+/**
+ * Renders the archive name of a side.
+ *
+ * Besides the given variables, the template gets `side` and a boolean
+ * for every side, e.g. for `{{#server}}-server{{/server}}`.
+ *
+ * @param {string} template Mustache template.
+ * @param {Object.<string, any>} context Template variables.
+ * @param {"client"|"server"|"mrpack"|"multimc"} side
+ * @returns {string}
+ *
+ * @throws {Error} Throws if the template uses unknown variables or renders to nothing.
+ */
+exports.renderArchiveName = (template, context, side) => {
+	const sides = {};
+	ARCHIVE_SIDES.forEach(x => sides[x] = side == x);
+
+	const name = render(template, {
+		...context
+		, ...sides
+		, side: side
+	}, "archiveNameTemplate").trim();
+
+	if (!name || /[\\/:*?"<>|]/.test(name)) {
+		throw new Error(`archiveNameTemplate rendered to an invalid file name: ${JSON.stringify(name)}`);
+	}
+
+	return name;
+}
+
+/**
+ * Reads the build manifest of the last build.
+ *
+ * @param {string} destFolder Build folder.
+ * @returns {object|null} Null if nothing was built yet.
+ */
+exports.readBuildManifest = (destFolder) => {
+	const manifestPath = path.join(destFolder, BUILD_MANIFEST_FILE);
+	if (!fs.existsSync(manifestPath)) {
+		return null;
+	}
+
+	return JSON.parse(fs.readFileSync(manifestPath));
+}
@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path").posix;
+
+const { hashFile, compareSumToHashDef } = require("./hashes.js");
+
+const INDEX_FILE = "index.json";
+const OBJECTS_FOLDER = "objects";
+
+/**
+ * @typedef {object} CacheObject
+ * @property {number} size Size in bytes.
+ * @property {number} created Creation timestamp. (milliseconds)
+ * @property {number} accessed Last access timestamp. (milliseconds)
+ */
+
+/**
+ * @typedef {object} CacheIndex
+ * @property {Object.<string, CacheObject>} objects Cached objects keyed by their SHA1.
+ * @property {Object.<string, string>} keys Lookup keys (`hashId:hash` or `url:...`) mapped to SHA1s.
+ */
+
+/**
+ * @typedef {object} CacheStats
+ * @property {string} directory Cache directory.
+ * @property {number} objects Amount of cached objects.
+ * @property {number} keys Amount of lookup keys.
+ * @property {number} size Total size in bytes.
+ * @property {number} [oldestAccess] Oldest access timestamp.
+ * @property {number} [newestAccess] Newest access timestamp.
+ */
+
+/**
+ * Persistent content-addressed download cache.
+ *
+ * Files are stored by their SHA1 and can be looked up by any
+ * hash the downloader knows of (SHA1, MurmurHash), or by URL
+ * if the file definition has no hashes at all.
+ */
+class DownloadCache {
+	/**
+	 * @param {string} directory Cache directory.
+	 */
+	constructor(directory) {
+		this.directory = directory;
+		this.index = null;
+		this.dirty = false;
+	}
+
+	/**
+	 * Loads the index file, if not loaded already.
+	 *
+	 * @returns {CacheIndex}
+	 */
+	__getIndex() {
+		if (!this.index) {
+			const indexPath = path.join(this.directory, INDEX_FILE);
+
+			this.index = { objects: {}, keys: {} };
+			if (fs.existsSync(indexPath)) {
+				try {
+					const parsed = JSON.parse(fs.readFileSync(indexPath));
+					if (parsed && parsed.objects && parsed.keys) {
+						this.index = parsed;
+					}
+				} catch (err) {
+					// A broken index is no worse than an empty one.
+				}
+			}
+		}
+
+		return this.index;
+	}
+
+	/**
+	 * @param {string} hash SHA1 of the object.
+	 */
+	__objectPath(hash) {
+		return path.join(this.directory, OBJECTS_FOLDER, hash.substring(0, 2), hash);
+	}
+
+	/**
+	 * Returns every lookup key of the given file definition.
+	 *
+	 * @param {FileDef} fileDef
+	 * @returns {string[]}
+	 */
+	__keysOf(fileDef) {
+		const keys = [];
+
+		(fileDef.hashes || []).forEach((hashDef) => {
+			[].concat(hashDef.hashes).forEach((hash) => {
+				if (hash !== undefined && hash !== null) {
+					keys.push(`${hashDef.id}:${hash.toString().toLowerCase()}`);
+				}
+			});
+		});
+
+		if (keys.length == 0 && fileDef.url) {
+			keys.push(`url:${fileDef.url}`);
+		}
+
+		return keys;
+	}
+
+	/**
+	 * Removes the object and every key pointing to it.
+	 *
+	 * @param {string} hash SHA1 of the object.
+	 */
+	__removeObject(hash) {
+		const index = this.__getIndex();
+		const objectPath = this.__objectPath(hash);
+
+		if (fs.existsSync(objectPath)) {
+			fs.unlinkSync(objectPath);
+		}
+
+		delete index.objects[hash];
+		Object.keys(index.keys)
+			.filter(key => index.keys[key] == hash)
+			.forEach(key => delete index.keys[key]);
+
+		this.dirty = true;
+	}
+
+	/**
+	 * Checks whether the file is cached without reading it.
+	 *
+	 * @param {FileDef} fileDef File definition.
+	 * @returns {boolean}
+	 */
+	has(fileDef) {
+		const index = this.__getIndex();
+
+		return this.__keysOf(fileDef).some((key) => {
+			const hash = index.keys[key];
+			return hash && index.objects[hash] && fs.existsSync(this.__objectPath(hash));
+		});
+	}
+
+	/**
+	 * Looks up a cached file.
+	 *
+	 * @param {FileDef} fileDef File definition.
+	 * @param {boolean} [checkHashes=true] Compare hashes of the cached file.
+	 * @returns {Promise<string|null>} Path to the cached object or null if not cached.
+	 */
+	lookup(fileDef, checkHashes = true) {
+		const index = this.__getIndex();
+		const keys = this.__keysOf(fileDef);
+
+		const next = () => {
+			if (keys.length == 0) {
+				return Promise.resolve(null);
+			}
+
+			const hash = index.keys[keys.shift()];
+			if (!hash || !index.objects[hash]) {
+				return next();
+			}
+
+			const objectPath = this.__objectPath(hash);
+			if (!fs.existsSync(objectPath)) {
+				this.__removeObject(hash);
+				return next();
+			}
+
+			/**
+			 * Never trust the disk. If the cached file is corrupted, evict it.
+			 */
+			const hashDefs = [
+				{ id: "sha1", hashes: hash },
+				...(checkHashes && fileDef.hashes || [])
+			];
+
+			return Promise.all(hashDefs.map(hashDef => hashFile(objectPath, hashDef.id).then(sum => compareSumToHashDef(sum, hashDef))))
+				.then(() => {
+					index.objects[hash].accessed = Date.now();
+					this.dirty = true;
+
+					return objectPath;
+				})
+				.catch(() => {
+					this.__removeObject(hash);
+					return next();
+				});
+		};
+
+		return next();
+	}
+
+	/**
+	 * Stores a downloaded file.
+	 *
+	 * @param {FileDef} fileDef File definition.
+	 * @param {string} filePath Path to the downloaded file.
+	 * @param {string} hash SHA1 of the file.
+	 */
+	store(fileDef, filePath, hash) {
+		const index = this.__getIndex();
+		const objectPath = this.__objectPath(hash);
+
+		if (!fs.existsSync(objectPath)) {
+			fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+
+			/**
+			 * Write into a temporary file first so an interrupted build
+			 * doesn't leave a truncated object behind.
+			 */
+			const tempPath = `${objectPath}.${process.pid}.tmp`;
+			fs.copyFileSync(filePath, tempPath);
+			fs.renameSync(tempPath, objectPath);
+		}
+
+		const now = Date.now();
+		index.objects[hash] = {
+			size: fs.statSync(objectPath).size
+			, created: (index.objects[hash] || {}).created || now
+			, accessed: now
+		};
+
+		[`sha1:${hash}`, ...this.__keysOf(fileDef)].forEach((key) => {
+			index.keys[key] = hash;
+		});
+
+		this.dirty = true;
+	}
+
+	/**
+	 * Writes the index file if anything has changed.
+	 */
+	flush() {
+		if (!this.dirty) {
+			return;
+		}
+
+		fs.mkdirSync(this.directory, { recursive: true });
+
+		const indexPath = path.join(this.directory, INDEX_FILE);
+		const tempPath = `${indexPath}.${process.pid}.tmp`;
+
+		fs.writeFileSync(tempPath, JSON.stringify(this.__getIndex()));
+		fs.renameSync(tempPath, indexPath);
+
+		this.dirty = false;
+	}
+
+	/**
+	 * Returns cache statistics.
+	 *
+	 * @returns {CacheStats}
+	 */
+	stats() {
+		const index = this.__getIndex();
+		const objects = Object.values(index.objects);
+
+		const stats = {
+			directory: this.directory
+			, objects: objects.length
+			, keys: Object.keys(index.keys).length
+			, size: objects.reduce((acc, obj) => acc + obj.size, 0)
+		};
+
+		if (objects.length > 0) {
+			stats.oldestAccess = Math.min(...objects.map(obj => obj.accessed));
+			stats.newestAccess = Math.max(...objects.map(obj => obj.accessed));
+		}
+
+		return stats;
+	}
+
+	/**
+	 * Prunes the cache.
+	 *
+	 * Removes objects that haven't been accessed for `maxAge` days,
+	 * then removes least recently used objects until the cache fits into `maxSize` bytes.
+	 *
+	 * @param {object} options
+	 * @param {number} [options.maxAge] Max age in days. Ignored if falsy.
+	 * @param {number} [options.maxSize] Max total size in bytes. Ignored if falsy.
+	 * @returns {{ objects: number, size: number }} Amount and size of removed objects.
+	 */
+	prune(options = {}) {
+		const index = this.__getIndex();
+		const removed = { objects: 0, size: 0 };
+
+		const remove = (hash) => {
+			removed.objects++;
+			removed.size += index.objects[hash].size;
+			this.__removeObject(hash);
+		};
+
+		if (options.maxAge) {
+			const threshold = Date.now() - options.maxAge * 24 * 60 * 60 * 1000;
+
+			Object.keys(index.objects)
+				.filter(hash => index.objects[hash].accessed < threshold)
+				.forEach(remove);
+		}
+
+		if (options.maxSize) {
+			const byAccess = Object.keys(index.objects)
+				.sort((a, b) => index.objects[a].accessed - index.objects[b].accessed);
+
+			var size = byAccess.reduce((acc, hash) => acc + index.objects[hash].size, 0);
+			for (const hash of byAccess) {
+				if (size <= options.maxSize) {
+					break;
+				}
+
+				size -= index.objects[hash].size;
+				remove(hash);
+			}
+		}
+
+		/**
+		 * Drop dangling keys.
+		 */
+		Object.keys(index.keys)
+			.filter(key => !index.objects[index.keys[key]])
+			.forEach(key => {
+				delete index.keys[key];
+				this.dirty = true;
+			});
+
+		this.flush();
+
+		return removed;
+	}
+}
+
+exports.DownloadCache = DownloadCache;
@@ -0,0 +1,180 @@
+/**
+ * @typedef {object} ManifestFile
+ * @property {number} projectID
+ * @property {number} fileID
+ */
+
+/**
+ * @typedef {object} ManifestDiff
+ * @property {ManifestFile[]} added
+ * @property {ManifestFile[]} removed
+ * @property {{ from: ManifestFile, to: ManifestFile }[]} changed Same project, different file.
+ */
+
+/**
+ * Diffs files of two modpack manifests by projectID.
+ *
+ * @param {object} oldManifest
+ * @param {object} newManifest
+ * @returns {ManifestDiff}
+ */
+exports.diffManifests = (oldManifest, newManifest) => {
+	const oldFiles = new Map((oldManifest.files || []).map(file => [file.projectID, file]));
+	const newFiles = new Map((newManifest.files || []).map(file => [file.projectID, file]));
+
+	const diff = { added: [], removed: [], changed: [] };
+
+	newFiles.forEach((file, projectID) => {
+		const oldFile = oldFiles.get(projectID);
+
+		if (!oldFile) {
+			diff.added.push(file);
+		} else if (oldFile.fileID != file.fileID) {
+			diff.changed.push({ from: oldFile, to: file });
+		}
+	});
+
+	oldFiles.forEach((file, projectID) => {
+		if (!newFiles.has(projectID)) {
+			diff.removed.push(file);
+		}
+	});
+
+	return diff;
+}
+
+/**
+ * @typedef {object} ChangelogMod
+ * @property {string} name Project name.
+ * @property {string} [url] Project URL.
+ * @property {string} [file] File name.
+ * @property {string} [fromFile] Previous file name, for updates and downgrades.
+ */
+
+/**
+ * @typedef {object} Changelog
+ * @property {string} title Changelog title.
+ * @property {ChangelogMod[]} added
+ * @property {ChangelogMod[]} removed
+ * @property {ChangelogMod[]} updated
+ * @property {ChangelogMod[]} downgraded
+ * @property {import("./git.js").ChangedFiles} [overrides] Changed overrides files.
+ */
+
+/**
+ * Checks whether the changelog has anything in it.
+ *
+ * @param {Changelog} changelog
+ * @returns {boolean}
+ */
+const isEmpty = (changelog) => {
+	return ["added", "removed", "updated", "downgraded"].every(key => changelog[key].length == 0)
+		&& (!changelog.overrides || ["added", "modified", "removed"].every(key => changelog.overrides[key].length == 0));
+}
+
+exports.isEmpty = isEmpty;
+
+const MOD_SECTIONS = [
+	["added", "Added"],
+	["removed", "Removed"],
+	["updated", "Updated"],
+	["downgraded", "Downgraded"],
+];
+
+const OVERRIDES_SECTIONS = [
+	["added", "Added"],
+	["modified", "Modified"],
+	["removed", "Removed"],
+];
+
+/**
+ * Renders the changelog as Markdown.
+ *
+ * @param {Changelog} changelog
+ * @returns {string}
+ */
+exports.renderMarkdown = (changelog) => {
+	const lines = [`## ${changelog.title}`, ""];
+
+	const modLine = (mod) => {
+		const name = mod.url ? `[${mod.name}](${mod.url})` : mod.name;
+
+		return mod.fromFile
+			? `* ${name}: \`${mod.fromFile}\` → \`${mod.file}\``
+			: `* ${name}${mod.file ? ` (\`${mod.file}\`)` : ""}`;
+	};
+
+	MOD_SECTIONS.forEach(([key, title]) => {
+		if (changelog[key].length > 0) {
+			lines.push(`### ${title}`, "", ...changelog[key].map(modLine), "");
+		}
+	});
+
+	if (changelog.overrides) {
+		const files = OVERRIDES_SECTIONS
+			.filter(([key]) => changelog.overrides[key].length > 0)
+			.map(([key, title]) => changelog.overrides[key].map(file => `* ${title} \`${file}\``))
+			.reduce((acc, x) => acc.concat(x), []);
+
+		if (files.length > 0) {
+			lines.push("### Overrides", "", ...files, "");
+		}
+	}
+
+	if (isEmpty(changelog)) {
+		lines.push("No changes.", "");
+	}
+
+	return lines.join("\n");
+}
+
+const escapeHtml = (str) => {
+	return String(str)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders the changelog as HTML.
+ *
+ * @param {Changelog} changelog
+ * @returns {string}
+ */
+exports.renderHtml = (changelog) => {
+	const output = [`<h2>${escapeHtml(changelog.title)}</h2>`];
+
+	const modItem = (mod) => {
+		const name = mod.url
+			? `<a href="${escapeHtml(mod.url)}">${escapeHtml(mod.name)}</a>`
+			: escapeHtml(mod.name);
+
+		return mod.fromFile
+			? `\t<li>${name}: <code>${escapeHtml(mod.fromFile)}</code> → <code>${escapeHtml(mod.file)}</code></li>`
+			: `\t<li>${name}${mod.file ? ` (<code>${escapeHtml(mod.file)}</code>)` : ""}</li>`;
+	};
+
+	MOD_SECTIONS.forEach(([key, title]) => {
+		if (changelog[key].length > 0) {
+			output.push(`<h3>${title}</h3>`, "<ul>", ...changelog[key].map(modItem), "</ul>");
+		}
+	});
+
+	if (changelog.overrides) {
+		const files = OVERRIDES_SECTIONS
+			.filter(([key]) => changelog.overrides[key].length > 0)
+			.map(([key, title]) => changelog.overrides[key].map(file => `\t<li>${title} <code>${escapeHtml(file)}</code></li>`))
+			.reduce((acc, x) => acc.concat(x), []);
+
+		if (files.length > 0) {
+			output.push("<h3>Overrides</h3>", "<ul>", ...files, "</ul>");
+		}
+	}
+
+	if (isEmpty(changelog)) {
+		output.push("<p>No changes.</p>");
+	}
+
+	return output.join("\n") + "\n";
+}
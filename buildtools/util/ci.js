@@ -0,0 +1,121 @@
+const { getHead, getRemoteUrl } = require("./git.js");
+
+/**
+ * @typedef {object} CIContext
+ * @property {"travis"|"github"|"gitlab"|"local"} provider Where the build runs.
+ * @property {string|null} slug Repository slug, e.g. `owner/repo`.
+ * @property {string|null} commit Full commit hash.
+ * @property {string|null} branch Branch name. Source branch of pull requests.
+ * @property {string|null} tag Tag name, if the build is tagged.
+ * @property {boolean} pullRequest Whether the build is of a pull/merge request.
+ */
+
+/**
+ * Returns the value of an env. variable, treating empty ones as unset.
+ *
+ * @param {string} name
+ * @returns {string|null}
+ */
+const env = (name) => process.env[name] || null;
+
+/**
+ * Extracts the repository path from a remote URL.
+ *
+ * Understands `https://host/owner/repo.git` and `git@host:owner/repo.git`.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+const slugFromRemote = (url) => {
+	const parsed = /^[a-z+]+:\/\/[^/]+\/(.+?)(?:\.git)?\/?$/i.exec(url)
+		|| /^[^@/]+@[^:/]+:(.+?)(?:\.git)?\/?$/.exec(url);
+
+	return parsed ? parsed[1] : null;
+}
+
+exports.slugFromRemote = slugFromRemote;
+
+/**
+ * CI providers, in detection order.
+ *
+ * Each one returns what it knows, anything missing is filled
+ * in from the local checkout.
+ *
+ * @type {{ name: string, detect: () => boolean, read: () => Partial<CIContext> }[]}
+ */
+const PROVIDERS = [
+	{
+		name: "travis"
+		, detect: () => env("TRAVIS") == "true"
+		, read: () => {
+			return {
+				slug: env("TRAVIS_REPO_SLUG")
+				, commit: env("TRAVIS_COMMIT")
+				, branch: env("TRAVIS_PULL_REQUEST_BRANCH") || env("TRAVIS_BRANCH")
+				, tag: env("TRAVIS_TAG")
+				, pullRequest: !!env("TRAVIS_PULL_REQUEST") && env("TRAVIS_PULL_REQUEST") != "false"
+			};
+		}
+	},
+	{
+		name: "github"
+		, detect: () => env("GITHUB_ACTIONS") == "true"
+		, read: () => {
+			const ref = env("GITHUB_REF") || "";
+			const pullRequest = /^pull_request/.test(env("GITHUB_EVENT_NAME") || "");
+
+			return {
+				slug: env("GITHUB_REPOSITORY")
+				, commit: env("GITHUB_SHA")
+				, branch: pullRequest
+					? env("GITHUB_HEAD_REF")
+					: (ref.startsWith("refs/heads/") ? ref.substring("refs/heads/".length) : null)
+				, tag: ref.startsWith("refs/tags/") ? ref.substring("refs/tags/".length) : null
+				, pullRequest: pullRequest
+			};
+		}
+	},
+	{
+		name: "gitlab"
+		, detect: () => env("GITLAB_CI") == "true"
+		, read: () => {
+			return {
+				slug: env("CI_PROJECT_PATH")
+				, commit: env("CI_COMMIT_SHA")
+				, branch: env("CI_COMMIT_BRANCH") || env("CI_MERGE_REQUEST_SOURCE_BRANCH_NAME")
+				, tag: env("CI_COMMIT_TAG")
+				, pullRequest: !!env("CI_MERGE_REQUEST_IID")
+			};
+		}
+	}
+];
+
+/**
+ * Detects the CI provider and describes the build in one shape.
+ *
+ * Outside of a known CI, or for anything the CI doesn't tell,
+ * falls back to the git checkout in `cwd`.
+ *
+ * @param {string} [cwd] Working directory of the checkout.
+ * @returns {CIContext}
+ */
+exports.getCIContext = (cwd) => {
+	const provider = PROVIDERS.find(p => p.detect());
+	const fromCI = provider ? provider.read() : {};
+
+	/**
+	 * CIs often check out a detached HEAD, so only trust
+	 * the local branch and tag if the CI didn't say anything.
+	 */
+	const head = getHead(cwd);
+	const remote = getRemoteUrl(cwd);
+
+	return {
+		provider: provider ? provider.name : "local"
+		, slug: fromCI.slug || (remote && slugFromRemote(remote)) || null
+		, commit: fromCI.commit || head.commit
+		, branch: provider ? (fromCI.branch || null) : head.branch
+		, tag: provider ? (fromCI.tag || null) : head.tag
+		, pullRequest: !!fromCI.pullRequest
+	};
+}
@@ -0,0 +1,335 @@
+const { validate, typeOf } = require("./schema.js");
+const { RELEASE_TYPES } = require("./release.js");
+const { SIDES } = require("./sides.js");
+
+const strings = { type: "array", items: { type: "string" } };
+const mods = { type: "array", items: { type: ["string", "integer"] } };
+const ram = { type: "string", pattern: /^\d+[KMGkmg]?$/, hint: "e.g. 2048M or 4G" };
+
+/**
+ * Schema of every key in config.default.js.
+ *
+ * @type {Object.<string, import("./schema.js").Schema>}
+ */
+const CONFIG_SCHEMA = {
+	downloaderMaxRetries: { type: "integer", minimum: 0 }
+	, downloaderConcurrency: { type: "integer", minimum: 1 }
+	, downloaderCheckHashes: { type: "boolean" }
+	, downloaderUseCache: { type: "boolean" }
+	, downloaderCacheDirectory: { type: "string" }
+	, cachePruneMaxAge: { type: "number", minimum: 0 }
+	, cachePruneMaxSize: { type: "number", minimum: 0 }
+	, modRepository: { type: "string", enum: ["curseforge", "curseforge-legacy"] }
+	, modRepositoryUrl: { type: "string", pattern: /^https?:\/\//, hint: "expected an http(s) URL" }
+	, modRepositoryApiKey: { type: ["string", "null"] }
+	, modRepositoryCdnUrl: { type: "string", pattern: /^https?:\/\//, hint: "expected an http(s) URL" }
+	, offline: { type: "boolean" }
+	, metadataDirectory: { type: "string" }
+	, clientOnlyMods: mods
+	, serverOnlyMods: mods
+	, warnClientOnlyMods: { type: "boolean" }
+	, failOnDuplicateModIds: { type: "boolean" }
+	, launchscriptsMinRAM: ram
+	, launchscriptsMaxRAM: ram
+	, launchscriptsJVMArgs: { type: "string" }
+	, launchscriptsInteractive: { type: "boolean" }
+	, launchscriptsServices: { type: "boolean" }
+	, serviceName: { type: ["string", "null"], pattern: /^[\w.@-]+$/, hint: "letters, digits, _, ., @ and - only" }
+	, serviceUser: { type: "string" }
+	, serviceDirectory: { type: ["string", "null"] }
+	, serviceMultiplexer: { type: "string", enum: ["screen", "tmux"] }
+	, templateVariables: { type: "object" }
+	, dockerBaseImage: { type: "string" }
+	, dockerJavaVersion: { type: ["integer", "null"], minimum: 8 }
+	, dockerVolumes: strings
+	, serverfilesTemplateGlobs: strings
+	, copyOverridesServerGlobs: strings
+	, copyOverridesClientGlobs: strings
+	, buildVariants: {
+		type: "array"
+		, items: {
+			type: "object"
+			, properties: {
+				name: { type: "string", required: true, pattern: /^[\w.-]+$/, hint: "letters, digits, _, . and - only" }
+				, archiveSuffix: { type: "string", pattern: /^[\w.-]*$/, hint: "letters, digits, _, . and - only" }
+				, manifest: {
+					type: "object"
+					, properties: {
+						add: {
+							type: "array"
+							, items: {
+								type: "object"
+								, properties: {
+									projectID: { type: "integer", required: true }
+									, fileID: { type: "integer", required: true }
+									, required: { type: "boolean" }
+									, side: { type: "string", enum: SIDES }
+								}
+							}
+						}
+						, remove: { type: "array", items: { type: "integer" } }
+					}
+				}
+				, overrides: strings
+				, copyOverridesClientGlobs: strings
+				, copyOverridesServerGlobs: strings
+			}
+		}
+	}
+	, archiveNameTemplate: { type: "string" }
+	, artifactGlobs: strings
+	, releaseType: { type: ["string", "null"], enum: [...RELEASE_TYPES, null] }
+	, releaseBranchTypes: { type: "object", values: { type: "string", enum: RELEASE_TYPES } }
+	, curseForgeFiles: {
+		type: "array"
+		, items: {
+			type: "object"
+			, properties: {
+				file: { type: "string", required: true }
+				, displayName: { type: "string" }
+				, optional: { type: "boolean" }
+			}
+		}
+	}
+	, curseForgeChangelog: { type: ["string", "null"] }
+	, curseForgeChangelogType: { type: ["string", "null"], enum: ["text", "markdown", "html", null] }
+	, curseForgeRelations: {
+		type: "array"
+		, items: {
+			type: "object"
+			, properties: {
+				slug: { type: "string", required: true }
+				, type: {
+					type: "string"
+					, required: true
+					, enum: ["embeddedLibrary", "incompatible", "optionalDependency", "requiredDependency", "tool"]
+				}
+			}
+		}
+	}
+	, githubRepository: { type: ["string", "null"], pattern: /^[^/]+\/[^/]+$/, hint: "expected owner/repo" }
+	, githubReleaseName: { type: "string" }
+	, githubReleaseBody: { type: ["string", "null"] }
+	, githubReleaseAssets: {
+		type: "array"
+		, items: {
+			type: "object"
+			, properties: {
+				file: { type: "string", required: true }
+				, optional: { type: "boolean" }
+			}
+		}
+	}
+	, releaseVersionFiles: {
+		type: "array"
+		, items: {
+			type: "object"
+			, properties: {
+				file: { type: "string", required: true }
+				, pattern: { type: "string", pattern: /\{\{version\}\}/, hint: "expected a {{version}} placeholder" }
+			}
+		}
+	}
+	, releaseChangelogFile: { type: ["string", "null"] }
+	, releaseCommitMessage: { type: "string" }
+	, releaseTagTemplate: { type: "string" }
+	, buildDestinationDirectory: { type: "string" }
+	, buildSourceDirectory: { type: "string" }
+	, profiles: { type: "object", values: { type: "object" } }
+};
+
+exports.CONFIG_SCHEMA = CONFIG_SCHEMA;
+
+/**
+ * Prefix of env. variables overriding config keys.
+ */
+const ENV_PREFIX = "MPBT_";
+
+/**
+ * Env. variable picking the profile, same as `--profile`.
+ */
+const ENV_PROFILE = `${ENV_PREFIX}PROFILE`;
+
+exports.ENV_PROFILE = ENV_PROFILE;
+
+/**
+ * Env. variables other tools already use for config keys,
+ * applied before `MPBT_*` ones.
+ */
+const ENV_ALIASES = {
+	CURSEFORGE_API_URL: "modRepositoryUrl"
+	, CURSEFORGE_API_KEY: "modRepositoryApiKey"
+};
+
+exports.ENV_ALIASES = ENV_ALIASES;
+
+/**
+ * Turns a config key into the name of the env. variable overriding it.
+ *
+ * `downloaderMaxRetries` becomes `MPBT_DOWNLOADER_MAX_RETRIES`,
+ * `launchscriptsJVMArgs` becomes `MPBT_LAUNCHSCRIPTS_JVM_ARGS`.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+const toEnvName = (key) => ENV_PREFIX + key
+	.replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+	.replace(/([A-Z])([A-Z][a-z])/g, "$1_$2")
+	.toUpperCase();
+
+exports.toEnvName = toEnvName;
+
+/**
+ * Parses an env. variable into the type the key expects.
+ *
+ * Strings are taken as they are, `null` means null for nullable keys,
+ * everything else is parsed as JSON, e.g. `true`, `8` or `["a", "b"]`.
+ *
+ * @param {string} value
+ * @param {import("./schema.js").Schema} schema
+ * @returns {any}
+ *
+ * @throws {Error} Throws if the value isn't valid JSON.
+ */
+const parseEnvValue = (value, schema) => {
+	const types = [].concat(schema.type || []);
+
+	if (value == "null" && types.includes("null")) {
+		return null;
+	}
+
+	if (types.includes("string")) {
+		return value;
+	}
+
+	try {
+		return JSON.parse(value);
+	} catch (err) {
+		throw new Error(`Expected ${types.join(" or ")} in JSON, got ${JSON.stringify(value)}.`);
+	}
+}
+
+exports.parseEnvValue = parseEnvValue;
+
+/**
+ * @typedef {object} ConfigLayer
+ * @property {string} source Where the values come from, e.g. `config.js`.
+ * @property {Object.<string, any>} values Config keys to override.
+ */
+
+/**
+ * @typedef {object} ConfigOptions
+ * @property {Object.<string, any>} defaults Contents of config.default.js.
+ * @property {Object.<string, any>} [custom] Contents of config.js, if there's one.
+ * @property {string} [profile] Profile to apply on top of the config.
+ * @property {Object.<string, string>} [env] Env. variables to read overrides from.
+ * @property {ConfigLayer[]} [overrides] Extra layers applied last, e.g. CLI flags.
+ */
+
+/**
+ * @typedef {object} ResolvedConfig
+ * @property {Object.<string, any>} config Resolved config.
+ * @property {Object.<string, string>} sources Where each key's value came from.
+ * @property {import("./schema.js").Diagnostic[]} diagnostics Problems found along the way.
+ */
+
+/**
+ * Resolves the config from layers, later layers replacing whole keys of earlier ones:
+ *
+ * 1. config.default.js
+ * 2. config.js
+ * 3. The profile, picked from `profiles` of the above
+ * 4. Env. variables, aliases first, then `MPBT_*` ones
+ * 5. Extra overrides, e.g. CLI flags
+ *
+ * Unknown keys are warned about, invalid values are errors.
+ *
+ * @param {ConfigOptions} options
+ * @returns {ResolvedConfig}
+ */
+exports.resolveConfig = (options) => {
+	const config = {};
+	const sources = {};
+	const diagnostics = [];
+
+	const warning = (path, message) => diagnostics.push({ severity: "warning", path: path, message: message });
+	const error = (path, message) => diagnostics.push({ severity: "error", path: path, message: message });
+
+	/**
+	 * @param {ConfigLayer} layer
+	 */
+	const apply = (layer) => {
+		Object.keys(layer.values).forEach((key) => {
+			if (!CONFIG_SCHEMA[key]) {
+				return warning(`${layer.source}: $.${key}`, "Unknown config key, ignoring.");
+			}
+
+			config[key] = layer.values[key];
+			sources[key] = layer.source;
+		});
+	};
+
+	apply({ source: "config.default.js", values: options.defaults });
+
+	if (options.custom) {
+		apply({ source: "config.js", values: options.custom });
+	}
+
+	if (options.profile) {
+		const profiles = typeOf(config.profiles) == "object" ? config.profiles : {};
+		const profile = profiles[options.profile];
+
+		if (typeOf(profile) != "object") {
+			const known = Object.keys(profiles);
+			error(`${sources.profiles}: $.profiles`, `Unknown profile ${options.profile}.`
+				+ (known.length > 0 ? ` (expected one of ${known.join(", ")})` : " (no profiles defined)"));
+		} else {
+			if (profile.profiles !== undefined) {
+				warning(`profile ${options.profile}: $.profiles`, "Profiles can't define profiles, ignoring.");
+			}
+
+			const values = { ...profile };
+			delete values.profiles;
+
+			apply({ source: `profile ${options.profile}`, values: values });
+		}
+	}
+
+	const env = options.env || {};
+	const envNames = new Map(Object.keys(CONFIG_SCHEMA).map(key => [toEnvName(key), key]));
+
+	const aliases = Object.keys(ENV_ALIASES).filter(name => env[name]);
+	const prefixed = Object.keys(env).filter(name => name.startsWith(ENV_PREFIX) && name != ENV_PROFILE).sort();
+
+	aliases.concat(prefixed)
+		.forEach((name) => {
+			const key = ENV_ALIASES[name] || envNames.get(name);
+			if (!key) {
+				return warning(name, "Env. variable doesn't match any config key, ignoring.");
+			}
+
+			try {
+				apply({ source: name, values: { [key]: parseEnvValue(env[name], CONFIG_SCHEMA[key]) } });
+			} catch (err) {
+				error(name, err.message);
+			}
+		});
+
+	(options.overrides || []).forEach(apply);
+
+	Object.keys(CONFIG_SCHEMA).forEach((key) => {
+		if (config[key] === undefined) {
+			return;
+		}
+
+		validate(config[key], CONFIG_SCHEMA[key], `$.${key}`).forEach((diagnostic) => {
+			diagnostics.push({ ...diagnostic, path: `${sources[key]}: ${diagnostic.path}` });
+		});
+	});
+
+	return {
+		config: config
+		, sources: sources
+		, diagnostics: diagnostics
+	};
+}
@@ -0,0 +1,69 @@
+const sides = require("./sides.js");
+
+/**
+ * @typedef {object} DependencyReport
+ * @property {string[]} errors Missing required dependencies and incompatible mods.
+ * @property {string[]} optional Optional dependencies that are present.
+ */
+
+/**
+ * Looks for dependency problems between mods.
+ *
+ * A required dependency has to be installed on every side the mod is.
+ *
+ * @param {{ file: { projectID: number }, fileInfo: { dependencies: { projectID: number, type: string }[] }, side: string }[]} mods
+ * Mods with their file info and side, as returned by `getMods`.
+ * @param {(projectID: number) => string} nameOf Names projects in messages.
+ * @returns {DependencyReport}
+ */
+exports.findDependencyProblems = (mods, nameOf) => {
+	const sidesOf = new Map(mods.map(mod => [mod.file.projectID, mod.side]));
+
+	const errors = [];
+	const optional = [];
+
+	mods.forEach((mod) => {
+		const projectID = mod.file.projectID;
+
+		mod.fileInfo.dependencies
+			.filter(dep => dep.projectID != projectID)
+			.forEach((dep) => {
+				const depSide = sidesOf.get(dep.projectID);
+
+				switch (dep.type) {
+					case "required": {
+						if (!depSide) {
+							errors.push(`${nameOf(projectID)} requires ${nameOf(dep.projectID)}, which is missing.`);
+							break;
+						}
+
+						["client", "server"]
+							.filter(side => sides.isOnSide(mod.side, side) && !sides.isOnSide(depSide, side))
+							.forEach(side => {
+								errors.push(`${nameOf(projectID)} requires ${nameOf(dep.projectID)}, which is missing on the ${side}.`);
+							});
+						break;
+					}
+
+					case "incompatible": {
+						if (depSide) {
+							errors.push(`${nameOf(projectID)} is incompatible with ${nameOf(dep.projectID)}.`);
+						}
+						break;
+					}
+
+					case "optional": {
+						if (depSide) {
+							optional.push(`${nameOf(projectID)} optionally uses ${nameOf(dep.projectID)}.`);
+						}
+						break;
+					}
+				}
+			});
+	});
+
+	return {
+		errors: errors
+		, optional: optional
+	};
+}
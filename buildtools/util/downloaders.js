@@ -1,12 +1,16 @@
-const request = require("request-promise");
+const fs = require("fs");
+const path = require("path").posix;
+const request = require("request");
+const requestPromise = require("request-promise");
 const Promise = require("bluebird");
 const EventEmitter = require('events');
 
-const { compareBufferToHashDef } = require("./hashes.js")
+const { createHasher, isStreamingHash, hashFile, compareSumToHashDef } = require("./hashes.js")
 
 /**
  * @typedef {object} FileDef
  * @property {string} url File URL.
+ * @property {string} [path] Destination path. Required unless downloading JSON.
  * @property {HashDef[]} [hashes] Optional hashes to compare.
  */
 
@@ -17,6 +21,8 @@ const { compareBufferToHashDef } = require("./hashes.js")
  * @property {number} [concurrency=5] Max amount of concurrent downloads.
  * @property {boolean} [checkHashes=true] Check hashes of downloaded files.
  * @property {boolean} [json=false] Don't save and output JSON instead.
+ * @property {DownloadCache} [cache] Optional persistent download cache.
+ * @property {boolean} [offline=false] Serve files purely from the cache.
  */
 
 /**
@@ -38,6 +44,8 @@ class ConcurrentRetryDownloader extends EventEmitter {
 		this.concurrency = options.concurrency || 5;
 		this.checkHashes = options.checkHashes == undefined ? true : options.checkHashes;
 		this.json        = options.json;
+		this.cache       = options.json ? null : options.cache;
+		this.offline     = !!options.offline;
 	}
 
 	/**
@@ -56,6 +64,22 @@ class ConcurrentRetryDownloader extends EventEmitter {
 		});
 	}
 
+	/**
+	 * @param {FileDef} fileDef 
+	 */
+	__emitCached(fileDef) {
+		/**
+		 * Cache hit event.
+		 *
+		 * @event ConcurrentRetryDownloader#cached
+		 * @type {object}
+		 * @property {object} fileDef File definition.
+		 */
+		this.emit("cached", {
+			fileDef: fileDef
+		});
+	}
+
 	/**
 	 * @param {FileDef} fileDef 
 	 */
@@ -67,7 +91,7 @@ class ConcurrentRetryDownloader extends EventEmitter {
 		 * @type {object}
 		 * @property {object} fileDef File definition.
 		 * @property {number} index File index.
-		 * @property {Buffer|object} output Output.
+		 * @property {string|object} output Path to the saved file, or parsed JSON.
 		 */
 		this.emit("complete", {
 			fileDef: fileDef
@@ -97,9 +121,249 @@ class ConcurrentRetryDownloader extends EventEmitter {
 		});
 	}	
 
+	/**
+	 * Copies a cached file into place, if there's one.
+	 *
+	 * @param {FileDef} fileDef
+	 * @returns {Promise<boolean>} Whether the file was found in the cache.
+	 */
+	__copyFromCache(fileDef) {
+		if (!this.cache) {
+			return Promise.resolve(false);
+		}
+
+		return this.cache.lookup(fileDef, this.checkHashes).then((objectPath) => {
+			if (!objectPath) {
+				return false;
+			}
+
+			const partPath = `${fileDef.path}.part`;
+			fs.copyFileSync(objectPath, partPath);
+			fs.renameSync(partPath, fileDef.path);
+
+			return true;
+		});
+	}
+
+	/**
+	 * Streams a file into `<path>.part`, resuming a previous
+	 * partial transfer with a Range request if possible.
+	 *
+	 * SHA hashes are computed while the file is being written.
+	 *
+	 * @param {FileDef} fileDef
+	 * @param {string} partPath
+	 * @returns {Promise<Object.<string, string>>} Computed hash sums.
+	 */
+	__fetchToFile(fileDef, partPath) {
+		const ids = new Set(["sha1", ...(fileDef.hashes || []).map(hashDef => hashDef.id).filter(isStreamingHash)]);
+
+		let hashers;
+		const resetHashers = () => {
+			hashers = [...ids].map(id => ({ id: id, hasher: createHasher(id) }));
+		};
+		const update = (chunk) => hashers.forEach(entry => entry.hasher.update(chunk));
+
+		resetHashers();
+
+		const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+		/**
+		 * Hash the bytes we've already got before resuming.
+		 */
+		const prefill = offset == 0 ? Promise.resolve() : new Promise((resolve, reject) => {
+			fs.createReadStream(partPath)
+				.on("data", update)
+				.on("error", reject)
+				.on("end", resolve);
+		});
+
+		return prefill.then(() => new Promise((resolve, reject) => {
+			let settled = false;
+			let response = null;
+			let output = null;
+
+			const fail = (error) => {
+				if (settled) {
+					return;
+				}
+
+				settled = true;
+				req.abort();
+
+				/**
+				 * Flush whatever was received so the next attempt can resume from it.
+				 */
+				if (output) {
+					response.unpipe(output);
+					output.end(() => reject(error));
+				} else {
+					reject(error);
+				}
+			};
+
+			const req = request({
+				url: fileDef.url
+				, timeout: this.readTimeout
+				, headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+			});
+
+			req.on("error", fail);
+			req.on("response", (res) => {
+				response = res;
+
+				/**
+				 * The range is past the end of the file, meaning
+				 * the partial file is bogus. Start over.
+				 */
+				if (response.statusCode == 416) {
+					if (fs.existsSync(partPath)) {
+						fs.unlinkSync(partPath);
+					}
+
+					return fail(new Error(`Server refused to resume ${fileDef.url}.`));
+				}
+
+				if (response.statusCode != 200 && response.statusCode != 206) {
+					return fail(new Error(`Server responded with ${response.statusCode} for ${fileDef.url}.`));
+				}
+
+				/**
+				 * 200 means the server ignored the Range header.
+				 */
+				const resumed = response.statusCode == 206;
+				if (!resumed) {
+					resetHashers();
+				}
+
+				const expected = parseInt(response.headers["content-length"]);
+				let received = 0;
+
+				output = fs.createWriteStream(partPath, { flags: resumed ? "a" : "w" });
+				output.on("error", fail);
+
+				response.on("data", (chunk) => {
+					received += chunk.length;
+					update(chunk);
+				});
+				response.on("aborted", () => fail(new Error(`Connection closed while downloading ${fileDef.url}.`)));
+				response.pipe(output);
+
+				output.on("finish", () => {
+					if (settled) {
+						return;
+					}
+
+					if (!isNaN(expected) && received < expected) {
+						return fail(new Error(`Received ${received} out of ${expected} bytes of ${fileDef.url}.`));
+					}
+
+					settled = true;
+					resolve(hashers.reduce((sums, entry) => {
+						sums[entry.id] = entry.hasher.digest();
+						return sums;
+					}, {}));
+				});
+			});
+		}));
+	}
+
+	/**
+	 * Compares hashes of a downloaded file.
+	 *
+	 * Hashes that couldn't be computed while downloading are computed from the file.
+	 *
+	 * @param {FileDef} fileDef
+	 * @param {string} filePath
+	 * @param {Object.<string, string>} sums Hash sums computed so far.
+	 * @returns {Promise<void>}
+	 */
+	__checkHashes(fileDef, filePath, sums) {
+		if (!this.checkHashes || !fileDef.hashes) {
+			return Promise.resolve();
+		}
+
+		return Promise.all(fileDef.hashes.map((hashDef) => {
+			const sum = sums[hashDef.id] !== undefined
+				? Promise.resolve(sums[hashDef.id])
+				: hashFile(filePath, hashDef.id);
+
+			return sum.then(sum => compareSumToHashDef(sum, hashDef));
+		}));
+	}
+
+	/**
+	 * Downloads a file into `fileDef.path`, retrying and resuming on failure.
+	 *
+	 * The file is moved into place only after its hashes have been verified.
+	 *
+	 * @param {FileDef} fileDef
+	 * @returns {Promise<void>}
+	 */
+	__downloadFile(fileDef) {
+		const partPath = `${fileDef.path}.part`;
+
+		return new Promise((resolve, reject) => {
+			const retry = (counter = 0) => {
+				counter++;
+
+				this.__fetchToFile(fileDef, partPath)
+					.then((sums) => {
+						return this.__checkHashes(fileDef, partPath, sums)
+							.catch((error) => {
+								/**
+								 * Resuming a corrupted file won't fix it.
+								 */
+								fs.unlinkSync(partPath);
+								throw error;
+							})
+							.then(() => {
+								if (this.cache) {
+									this.cache.store(fileDef, partPath, sums.sha1);
+								}
+
+								fs.renameSync(partPath, fileDef.path);
+							});
+					})
+					.then(resolve)
+					.catch((error) => {
+						if (counter >= this.maxRetries) {
+							reject({
+								fileDef: fileDef
+								, error: error
+							});
+						} else {
+							this.__emitRetry(fileDef, error, counter);
+							setTimeout(() => retry(counter), 1000);
+						}
+					});
+			}
+
+			retry();
+		});
+	}
+
+	/**
+	 * Fetches JSON, retrying on failure.
+	 *
+	 * @param {FileDef} fileDef
+	 * @returns {Promise<object>}
+	 */
+	__downloadJson(fileDef) {
+		return retryRequest(this.maxRetries, fileDef.url, { timeout: this.readTimeout, json: true })
+			.catch((error) => {
+				throw {
+					fileDef: fileDef
+					, error: error
+				};
+			});
+	}
+
 	/**
 	 * Downloads files in arbitrary order.
 	 * 
+	 * Files are streamed to disk instead of being kept in memory.
+	 * 
 	 * @param {FileDef[]} files
 	 * @returns {Promise<void>}
 	 */
@@ -107,56 +371,56 @@ class ConcurrentRetryDownloader extends EventEmitter {
 		const total = files.length;
 		var countDownloadedFiles = 0;
 
+		/**
+		 * In offline mode, make sure everything is cached beforehand
+		 * and list every missing file at once.
+		 */
+		if (this.offline) {
+			const missing = files.filter(fileDef => !this.cache || !this.cache.has(fileDef));
+
+			if (missing.length > 0) {
+				return Promise.reject(new Error(
+					`Offline mode: ${missing.length} files are missing from the download cache:\n`
+					+ missing.map(fileDef => `  - ${fileDef.url}`).join("\n")
+				));
+			}
+		}
+
 		/**
 		 * Map given file definitions to an array of Promises.
 		 */
 		return Promise.map(files, fileDef => {
-			return new Promise((resolve, reject) => {
+			if (this.json) {
 				this.__emitStart(fileDef);
 
-				const retry = (counter = 0) => {
-					counter++;
+				return this.__downloadJson(fileDef)
+					.then(output => this.__emitComplete(fileDef, countDownloadedFiles++, total, output));
+			}
 
-					/**
-					 * Make a request.
-					 */
-					const opts = {
-						timeout    : this.readTimeout
-						, json     : this.json
-						, encoding : null
-					}
+			fs.mkdirSync(path.dirname(fileDef.path), { recursive: true });
 
-					request(fileDef.url, opts)
-						.then((buffer) => {
-							/**
-							 * Check hashes if requested and the hashDef array is present.
-							 */
-							if (this.checkHashes && fileDef.hashes) {
-								/**
-								 * Check given hashes and throw if something doesn't match.
-								 */
-								fileDef.hashes.forEach((hashInfo) => compareBufferToHashDef(buffer, hashInfo));
-							}
-
-							this.__emitComplete(fileDef, countDownloadedFiles++, total, buffer);
-							resolve();	
-						})
-						.catch((error) => {
-							if (counter >= this.maxRetries) {
-								reject({
-									fileDef: fileDef
-									, error: error
-								});
-							} else {
-								this.__emitRetry(fileDef, error, counter);
-								setTimeout(() => retry(counter), 1000);
-							}
-						})	
+			/**
+			 * Consult the cache before going to the network.
+			 */
+			return this.__copyFromCache(fileDef).then((cached) => {
+				if (cached) {
+					this.__emitCached(fileDef);
+					return;
+				}
+
+				if (this.offline) {
+					throw new Error(`Offline mode: ${fileDef.url} is missing from the download cache.`);
 				}
 
-				return retry();
-			})
-		}, {concurrency: this.concurrency});
+				this.__emitStart(fileDef);
+				return this.__downloadFile(fileDef);
+			}).then(() => this.__emitComplete(fileDef, countDownloadedFiles++, total, fileDef.path));
+		}, {concurrency: this.concurrency})
+			.finally(() => {
+				if (this.cache) {
+					this.cache.flush();
+				}
+			});
 	}
 }
 
@@ -172,13 +436,13 @@ const retryRequest = (maxRetries = 5, ...args) => {
 		const retry = (counter = 0) => {
 			counter++;
 
-			request(...args)
+			requestPromise(...args)
 				.then(resolve)
 				.catch((err) => {
-					if (counter == maxRetries) {
+					if (counter >= maxRetries) {
 						reject(err);
 					} else {
-						retry();
+						retry(counter);
 					}
 				})
 		}
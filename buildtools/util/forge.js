@@ -0,0 +1,266 @@
+const fs = require("fs");
+const log = require("fancy-log");
+const path = require("path").posix;
+const unzip = require("unzipper");
+const Promise = require("bluebird");
+const { spawn } = require("child_process");
+
+const { mavenToPath } = require("./util.js");
+const { sha1 } = require("./hashes.js");
+
+/**
+ * @typedef {object} ForgeInstallContext
+ * @property {string} rootDir Server root directory.
+ * @property {string} librariesDir Server libraries directory.
+ * @property {string} installerDir Directory the installer has been extracted into.
+ * @property {string} installerPath Path to the installer jar.
+ * @property {string} minecraftVersion Minecraft version.
+ * @property {string} minecraftJar Path to the vanilla server jar.
+ */
+
+/**
+ * Checks whether the install profile uses the modern (1.13+) layout.
+ *
+ * Legacy profiles keep everything under `versionInfo`,
+ * modern ones ship a separate `version.json` and processors.
+ *
+ * @param {object} profile Parsed install_profile.json.
+ * @returns {boolean}
+ */
+exports.isModernProfile = (profile) => {
+	return !!profile && !profile.versionInfo && Array.isArray(profile.libraries);
+}
+
+/**
+ * Maps libraries of a modern profile or version.json to file definitions.
+ *
+ * Libraries without a URL are bundled with the installer under `maven/`
+ * and are returned separately.
+ *
+ * @param {object[]} libraries Library definitions.
+ * @param {string} librariesDir Destination libraries directory.
+ * @returns {{ remote: FileDef[], bundled: string[] }}
+ */
+exports.mapModernLibraries = (libraries, librariesDir) => {
+	const remote = [];
+	const bundled = [];
+
+	libraries.forEach((library) => {
+		const artifact = library.downloads && library.downloads.artifact;
+		const libraryPath = (artifact && artifact.path) || mavenToPath(library.name);
+
+		if (artifact && artifact.url) {
+			const def = {
+				url: artifact.url
+				, path: path.join(librariesDir, libraryPath)
+			};
+
+			if (artifact.sha1) {
+				def.hashes = [
+					{ id: "sha1", hashes: artifact.sha1 }
+				];
+			}
+
+			remote.push(def);
+		} else {
+			bundled.push(libraryPath);
+		}
+	});
+
+	return { remote: remote, bundled: bundled };
+}
+
+/**
+ * Replaces `{KEY}` tokens of a string with given values.
+ *
+ * @param {string} str
+ * @param {Object.<string, string>} values
+ */
+const replaceTokens = (str, values) => {
+	return str.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
+exports.replaceTokens = replaceTokens;
+
+/**
+ * Resolves the `data` section of a modern profile for the server side.
+ *
+ * * `[coords]` are turned into library paths.
+ * * `'literal'` values are unquoted.
+ * * `/path` values are taken from the installer.
+ *
+ * @param {object} profile Parsed install_profile.json.
+ * @param {ForgeInstallContext} ctx
+ * @returns {Object.<string, string>}
+ */
+exports.resolveData = (profile, ctx) => {
+	const data = {
+		SIDE: "server"
+		, ROOT: ctx.rootDir
+		, INSTALLER: ctx.installerPath
+		, LIBRARY_DIR: ctx.librariesDir
+		, MINECRAFT_VERSION: ctx.minecraftVersion
+		, MINECRAFT_JAR: ctx.minecraftJar
+	};
+
+	Object.keys(profile.data || {}).forEach((key) => {
+		const value = profile.data[key].server;
+		if (value === undefined) {
+			return;
+		}
+
+		if (value.startsWith("[") && value.endsWith("]")) {
+			data[key] = path.join(ctx.librariesDir, mavenToPath(value.slice(1, -1)));
+		} else if (value.startsWith("'") && value.endsWith("'")) {
+			data[key] = value.slice(1, -1);
+		} else if (value.startsWith("/")) {
+			data[key] = path.join(ctx.installerDir, value);
+		} else {
+			data[key] = value;
+		}
+	});
+
+	return data;
+}
+
+/**
+ * Resolves a single processor argument.
+ *
+ * @param {string} arg
+ * @param {Object.<string, string>} data Resolved data section.
+ * @param {ForgeInstallContext} ctx
+ */
+const resolveArgument = (arg, data, ctx) => {
+	if (arg.startsWith("[") && arg.endsWith("]")) {
+		return path.join(ctx.librariesDir, mavenToPath(arg.slice(1, -1)));
+	}
+
+	return replaceTokens(arg, data);
+}
+
+/**
+ * Reads the Main-Class attribute of a jar manifest.
+ *
+ * @param {string} jarPath
+ * @returns {Promise<string>}
+ */
+const getJarMainClass = (jarPath) => {
+	return Promise.resolve(unzip.Open.file(jarPath))
+		.then((directory) => {
+			const entry = directory.files.find(x => x.path == "META-INF/MANIFEST.MF");
+			if (!entry) {
+				throw new Error(`${path.basename(jarPath)} has no manifest.`);
+			}
+
+			return entry.buffer();
+		})
+		.then((buffer) => {
+			const mainClass = /^Main-Class:\s*(.+?)\s*$/m.exec(buffer.toString());
+			if (!mainClass) {
+				throw new Error(`${path.basename(jarPath)} has no Main-Class.`);
+			}
+
+			return mainClass[1];
+		});
+}
+
+/**
+ * Checks whether every output of the processor exists and matches its SHA1.
+ *
+ * @param {object} processor
+ * @param {Object.<string, string>} data Resolved data section.
+ * @param {ForgeInstallContext} ctx
+ */
+const outputsMatch = (processor, data, ctx) => {
+	const outputs = Object.keys(processor.outputs || {});
+	if (outputs.length == 0) {
+		return false;
+	}
+
+	return outputs.every((output) => {
+		const file = resolveArgument(output, data, ctx);
+		const expected = resolveArgument(processor.outputs[output], data, ctx);
+
+		return fs.existsSync(file) && sha1(fs.readFileSync(file)) == expected;
+	});
+}
+
+/**
+ * Runs server-side processors of a modern profile.
+ *
+ * Requires Java. Processors whose outputs are already in place are skipped.
+ *
+ * @param {object} profile Parsed install_profile.json.
+ * @param {Object.<string, string>} data Resolved data section.
+ * @param {ForgeInstallContext} ctx
+ * @returns {Promise<void>}
+ */
+exports.runProcessors = (profile, data, ctx) => {
+	const processors = (profile.processors || [])
+		.filter(x => !x.sides || x.sides.includes("server"));
+
+	return Promise.each(processors, (processor, index) => {
+		if (outputsMatch(processor, data, ctx)) {
+			log(`(${index + 1} / ${processors.length}) Skipping ${processor.jar}, outputs are up to date`);
+			return;
+		}
+
+		const jarPath = path.join(ctx.librariesDir, mavenToPath(processor.jar));
+		const classpath = [
+			jarPath,
+			...(processor.classpath || []).map(x => path.join(ctx.librariesDir, mavenToPath(x)))
+		];
+
+		return getJarMainClass(jarPath).then((mainClass) => {
+			log(`(${index + 1} / ${processors.length}) Running ${processor.jar}...`);
+
+			const args = [
+				"-cp", classpath.join(process.platform == "win32" ? ";" : ":"),
+				mainClass,
+				...(processor.args || []).map(arg => resolveArgument(arg, data, ctx))
+			];
+
+			return new Promise((resolve, reject) => {
+				const java = spawn("java", args, { stdio: ["ignore", "pipe", "pipe"] });
+				var output = "";
+
+				java.stdout.on("data", (chunk) => output += chunk);
+				java.stderr.on("data", (chunk) => output += chunk);
+
+				java.on("error", (err) => {
+					if (err.code == "ENOENT") {
+						reject(new Error("Java is required to run Forge installer processors, but it wasn't found in PATH."));
+					} else {
+						reject(err);
+					}
+				});
+
+				java.on("close", (code) => {
+					if (code != 0) {
+						log.error(output);
+						return reject(new Error(`Processor ${processor.jar} exited with code ${code}.`));
+					}
+
+					/**
+					 * Make sure the processor has produced what it's supposed to.
+					 */
+					for (const outputKey of Object.keys(processor.outputs || {})) {
+						const file = resolveArgument(outputKey, data, ctx);
+						const expected = resolveArgument(processor.outputs[outputKey], data, ctx);
+
+						if (!fs.existsSync(file)) {
+							return reject(new Error(`Processor ${processor.jar} didn't produce ${file}.`));
+						}
+
+						const sum = sha1(fs.readFileSync(file));
+						if (sum != expected) {
+							return reject(new Error(`Hash sum mismatch for ${file}. (expected ${expected}, got ${sum})`));
+						}
+					}
+
+					resolve();
+				});
+			});
+		});
+	}).then(() => {});
+}
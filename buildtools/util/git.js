@@ -0,0 +1,144 @@
+const { execFileSync } = require("child_process");
+
+/**
+ * Runs a git command and returns its trimmed output.
+ *
+ * @param {string[]} args Git arguments.
+ * @param {string} [cwd] Working directory.
+ * @returns {string}
+ *
+ * @throws {Error} Throws if git fails or isn't installed.
+ */
+const git = (args, cwd) => {
+	return execFileSync("git", args, {
+		cwd: cwd
+		, encoding: "utf8"
+		, stdio: ["ignore", "pipe", "pipe"]
+	}).trim();
+}
+
+exports.git = git;
+
+/**
+ * Returns the most recent tag reachable from HEAD,
+ * skipping tags pointing at HEAD itself.
+ *
+ * @param {string} [cwd] Working directory.
+ * @param {string[]} [ignoredTags] Tags to skip, e.g. rolling pre-release tags.
+ * @returns {string|null}
+ */
+exports.getPreviousTag = (cwd, ignoredTags = []) => {
+	const headTags = git(["tag", "--points-at", "HEAD"], cwd).split("\n");
+	const tags = git(["tag", "--merged", "HEAD", "--sort=-creatordate"], cwd)
+		.split("\n")
+		.filter(tag => tag && !headTags.includes(tag) && !ignoredTags.includes(tag));
+
+	return tags[0] || null;
+}
+
+/**
+ * Returns the most recent tag reachable from HEAD, including tags pointing at HEAD.
+ *
+ * @param {string} [cwd] Working directory.
+ * @param {string[]} [ignoredTags] Tags to skip, e.g. rolling pre-release tags.
+ * @returns {string|null}
+ */
+exports.getLatestTag = (cwd, ignoredTags = []) => {
+	const tags = git(["tag", "--merged", "HEAD", "--sort=-creatordate"], cwd)
+		.split("\n")
+		.filter(tag => tag && !ignoredTags.includes(tag));
+
+	return tags[0] || null;
+}
+
+/**
+ * Returns the contents of a file at the given revision.
+ *
+ * @param {string} ref Git revision.
+ * @param {string} file Path relative to `cwd`.
+ * @param {string} [cwd] Working directory.
+ * @returns {string}
+ */
+exports.showFile = (ref, file, cwd) => {
+	return git(["show", `${ref}:./${file}`], cwd);
+}
+
+/**
+ * @typedef {object} ChangedFiles
+ * @property {string[]} added
+ * @property {string[]} modified
+ * @property {string[]} removed
+ */
+
+/**
+ * Lists files changed since the given revision, including uncommitted changes.
+ *
+ * @param {string} ref Git revision.
+ * @param {string} folder Folder to limit the diff to, relative to `cwd`.
+ * @param {string} [cwd] Working directory.
+ * @returns {ChangedFiles}
+ */
+exports.getChangedFiles = (ref, folder, cwd) => {
+	const changes = { added: [], modified: [], removed: [] };
+
+	git(["diff", "--name-status", "--no-renames", "--relative", ref, "--", folder], cwd)
+		.split("\n")
+		.filter(line => line)
+		.forEach((line) => {
+			const [status, file] = line.split("\t");
+
+			switch (status[0]) {
+				case "A": changes.added.push(file); break;
+				case "D": changes.removed.push(file); break;
+				default: changes.modified.push(file); break;
+			}
+		});
+
+	return changes;
+}
+
+/**
+ * Returns the current commit, branch and tag.
+ *
+ * Any may be null, e.g. outside of a repository, with a detached HEAD
+ * or if HEAD isn't tagged.
+ *
+ * @param {string} [cwd] Working directory.
+ * @returns {{ commit: string|null, branch: string|null, tag: string|null }}
+ */
+exports.getHead = (cwd) => {
+	const head = { commit: null, branch: null, tag: null };
+
+	try {
+		head.commit = git(["rev-parse", "HEAD"], cwd);
+
+		const branch = git(["rev-parse", "--abbrev-ref", "HEAD"], cwd);
+		head.branch = branch == "HEAD" ? null : branch;
+	} catch (err) {
+		// Not a repository or no commits yet.
+		return head;
+	}
+
+	try {
+		head.tag = git(["describe", "--tags", "--exact-match", "HEAD"], cwd);
+	} catch (err) {
+		// HEAD isn't tagged.
+	}
+
+	return head;
+}
+
+/**
+ * Returns the URL of a remote, or null if there's no such remote.
+ *
+ * @param {string} [cwd] Working directory.
+ * @param {string} [remote="origin"] Remote name.
+ * @returns {string|null}
+ */
+exports.getRemoteUrl = (cwd, remote = "origin") => {
+	try {
+		return git(["remote", "get-url", remote], cwd);
+	} catch (err) {
+		return null;
+	}
+}
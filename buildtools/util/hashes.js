@@ -50,6 +50,206 @@ exports.sha1 = (inputBuffer) => {
 	return sha1(inputBuffer);
 };
 
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * Returns the hash sum of bytes of given bytes using SHA512.
+ * 
+ * This is what Modrinth is using to check files.
+ * 
+ * @param {Buffer} inputBuffer Input Buffer
+ * @returns {string} The SHA512 hash of file contents.
+ */
+exports.sha512 = (inputBuffer) => {
+	return crypto.createHash("sha512").update(inputBuffer).digest("hex");
+};
+
+/**
+ * Returns the hash sum of bytes of given bytes using SHA256.
+ * 
+ * Used for SHA256SUMS of build artifacts.
+ * 
+ * @param {Buffer} inputBuffer Input Buffer
+ * @returns {string} The SHA256 hash of file contents.
+ */
+exports.sha256 = (inputBuffer) => {
+	return crypto.createHash("sha256").update(inputBuffer).digest("hex");
+};
+
+/**
+ * Incremental MurmurHash v2, fed with bytes that aren't skipped.
+ * 
+ * Unlike SHA, the hash is seeded with the input length,
+ * so the amount of bytes to hash has to be known up front.
+ */
+class MurmurHash2 {
+	/**
+	 * @param {number} length Amount of bytes left after skipping.
+	 * @param {number} [seed]
+	 */
+	constructor(length, seed = 1) {
+		this.h = (seed ^ length) >>> 0;
+		this.tail = [];
+	}
+
+	/**
+	 * @param {Buffer} chunk
+	 */
+	update(chunk) {
+		const M = 0x5bd1e995;
+
+		for (let i = 0; i < chunk.length; i++) {
+			const byte = chunk[i];
+			if (MURMUR_SKIP_BYTES[byte]) {
+				continue;
+			}
+
+			this.tail.push(byte);
+			if (this.tail.length == 4) {
+				let k = this.tail[0] | (this.tail[1] << 8) | (this.tail[2] << 16) | (this.tail[3] << 24);
+				k = Math.imul(k, M);
+				k ^= k >>> 24;
+				k = Math.imul(k, M);
+
+				this.h = Math.imul(this.h, M) ^ k;
+				this.tail = [];
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * @returns {number}
+	 */
+	digest() {
+		const M = 0x5bd1e995;
+		let h = this.h;
+
+		switch (this.tail.length) {
+			case 3: h ^= this.tail[2] << 16;
+			case 2: h ^= this.tail[1] << 8;
+			case 1: h ^= this.tail[0];
+				h = Math.imul(h, M);
+		}
+
+		h ^= h >>> 13;
+		h = Math.imul(h, M);
+		h ^= h >>> 15;
+
+		return h >>> 0;
+	}
+}
+
+/**
+ * Hash algorithms that can be computed while the file is being downloaded.
+ */
+const STREAMING_HASHES = {
+	sha1: "sha1"
+	, sha256: "sha256"
+	, sha512: "sha512"
+};
+
+/**
+ * Creates an incremental hasher.
+ * 
+ * Only available for hashes listed in STREAMING_HASHES.
+ * 
+ * @param {string} id Hash algorithm.
+ * @returns {{ update: (chunk: Buffer) => any, digest: () => string }}
+ */
+exports.createHasher = (id) => {
+	if (!STREAMING_HASHES[id]) {
+		throw new Error(`${id} can't be computed incrementally.`);
+	}
+
+	const hash = crypto.createHash(STREAMING_HASHES[id]);
+
+	return {
+		update: (chunk) => hash.update(chunk)
+		, digest: () => hash.digest("hex")
+	};
+};
+
+/**
+ * Checks whether the hash can be computed incrementally.
+ * 
+ * @param {string} id Hash algorithm.
+ * @returns {boolean}
+ */
+exports.isStreamingHash = (id) => !!STREAMING_HASHES[id];
+
+/**
+ * Reads a file chunk by chunk.
+ * 
+ * @param {string} filePath
+ * @param {(chunk: Buffer) => void} onChunk
+ * @returns {Promise<void>}
+ */
+const readChunks = (filePath, onChunk) => {
+	return new Promise((resolve, reject) => {
+		fs.createReadStream(filePath)
+			.on("data", onChunk)
+			.on("error", reject)
+			.on("end", resolve);
+	});
+}
+
+/**
+ * Returns the hash sum of a file without reading it into memory.
+ * 
+ * @param {string} filePath Path to the file.
+ * @param {string} id Hash algorithm.
+ * @returns {Promise<any>}
+ */
+exports.hashFile = (filePath, id) => {
+	if (STREAMING_HASHES[id]) {
+		const hasher = exports.createHasher(id);
+		return readChunks(filePath, chunk => hasher.update(chunk)).then(() => hasher.digest());
+	}
+
+	if (id == "murmurhash") {
+		/**
+		 * Count bytes first, then hash.
+		 */
+		let length = 0;
+		return readChunks(filePath, (chunk) => {
+			for (let i = 0; i < chunk.length; i++) {
+				if (!MURMUR_SKIP_BYTES[chunk[i]]) {
+					length++;
+				}
+			}
+		}).then(() => {
+			const hasher = new MurmurHash2(length);
+			return readChunks(filePath, chunk => hasher.update(chunk)).then(() => hasher.digest());
+		});
+	}
+
+	return Promise.reject(new Error(`No hash function found for ${id}.`));
+}
+
+/**
+ * Computes several hashes of a file in one pass.
+ * 
+ * Only available for hashes listed in STREAMING_HASHES.
+ * 
+ * @param {string} filePath
+ * @param {string[]} ids Hash algorithms.
+ * @returns {Promise<Object.<string, string>>} Hash sums by algorithm.
+ */
+exports.hashFileMany = (filePath, ids) => {
+	const hashers = ids.map(id => exports.createHasher(id));
+
+	return readChunks(filePath, chunk => hashers.forEach(hasher => hasher.update(chunk)))
+		.then(() => {
+			const sums = {};
+			ids.forEach((id, index) => sums[id] = hashers[index].digest());
+
+			return sums;
+		});
+}
+
 /**
  * @typedef {object} HashDef
  * @property {string} id Hash algorithm.
@@ -59,6 +259,8 @@ exports.sha1 = (inputBuffer) => {
 const hashFuncs = {
 	murmurhash: exports.murmurhash
 	, sha1: exports.sha1
+	, sha256: exports.sha256
+	, sha512: exports.sha512
 }
  
 /**
@@ -74,7 +276,18 @@ exports.compareBufferToHashDef = (buffer, hashDef) => {
 		throw new Error(`No hash function found for ${hashDef.id}.`);
 	}
 	
-	const sum = hashFuncs[hashDef.id](buffer);
+	return exports.compareSumToHashDef(hashFuncs[hashDef.id](buffer), hashDef);
+}
+
+/**
+ * Compare an already computed hash sum to the given HashDef.
+ * 
+ * @param {any} sum
+ * @param {HashDef} hashDef
+ * 
+ * @throws {Error} Throws a generic error if hashes don't match.
+ */
+exports.compareSumToHashDef = (sum, hashDef) => {
 	if (Array.isArray(hashDef.hashes) && hashDef.hashes.includes(sum) || hashDef.hashes == sum) {
 		return true;
 	} else {
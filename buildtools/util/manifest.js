@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path").posix;
+
+const { validate, joinPath } = require("./schema.js");
+const { SIDES } = require("./sides.js");
+
+/**
+ * Schema of CurseForge-compatible manifest.json files.
+ *
+ * @type {import("./schema.js").Schema}
+ */
+const MANIFEST_SCHEMA = {
+	type: "object"
+	, properties: {
+		minecraft: {
+			type: "object"
+			, required: true
+			, properties: {
+				version: { type: "string", required: true, pattern: /^\d+\.\d+(\.\d+)?$/, hint: "e.g. 1.12.2" }
+				, modLoaders: {
+					type: "array"
+					, required: true
+					, items: {
+						type: "object"
+						, properties: {
+							id: { type: "string", required: true, pattern: /^\w+-.+$/, hint: "expected <loader>-<version>, e.g. forge-14.23.5.2847" }
+							, primary: { type: "boolean" }
+						}
+					}
+				}
+			}
+		}
+		, manifestType: { type: "string", required: true, enum: ["minecraftModpack"] }
+		, manifestVersion: { type: "integer", required: true, enum: [1] }
+		, name: { type: "string", required: true }
+		, version: { type: "string", required: true }
+		, author: { type: "string", required: true }
+		, overrides: { type: "string" }
+		, files: {
+			type: "array"
+			, required: true
+			, items: {
+				type: "object"
+				, properties: {
+					projectID: { type: "integer", required: true }
+					, fileID: { type: "integer", required: true }
+					, required: { type: "boolean" }
+					, side: { type: "string", enum: SIDES }
+				}
+			}
+		}
+	}
+};
+
+exports.MANIFEST_SCHEMA = MANIFEST_SCHEMA;
+
+/**
+ * @typedef {object} LintOptions
+ * @property {string} sourceDirectory Directory manifest.json is in, used to check the overrides folder.
+ */
+
+/**
+ * Lints manifest.json.
+ *
+ * Validates the manifest against the schema, then checks
+ * things a schema can't express.
+ *
+ * @param {object} manifest Parsed manifest.
+ * @param {LintOptions} options
+ * @returns {import("./schema.js").Diagnostic[]}
+ */
+exports.lintManifest = (manifest, options) => {
+	const diagnostics = validate(manifest, MANIFEST_SCHEMA);
+	const error = (path, message) => diagnostics.push({ severity: "error", path: path, message: message });
+
+	if (!manifest || manifest.constructor !== Object) {
+		return diagnostics;
+	}
+
+	/**
+	 * Exactly one mod loader should be primary.
+	 */
+	const modLoaders = manifest.minecraft && Array.isArray(manifest.minecraft.modLoaders) ? manifest.minecraft.modLoaders : null;
+	if (modLoaders) {
+		const primary = modLoaders.filter(loader => loader && loader.primary === true);
+
+		if (modLoaders.length == 0) {
+			error("$.minecraft.modLoaders", "No mod loaders defined.");
+		} else if (primary.length == 0) {
+			error("$.minecraft.modLoaders", "No primary mod loader. Set \"primary\": true on one of them.");
+		} else if (primary.length > 1) {
+			error("$.minecraft.modLoaders", `${primary.length} mod loaders are marked as primary, expected one.`);
+		}
+	}
+
+	/**
+	 * The same project twice means two versions of the same mod.
+	 */
+	if (Array.isArray(manifest.files)) {
+		const seen = new Map();
+
+		manifest.files.forEach((file, index) => {
+			if (!file || !Number.isInteger(file.projectID)) {
+				return;
+			}
+
+			if (seen.has(file.projectID)) {
+				error(`$.files[${index}].projectID`, `Duplicate project ${file.projectID}, already listed at $.files[${seen.get(file.projectID)}].`);
+			} else {
+				seen.set(file.projectID, index);
+			}
+		});
+	}
+
+	/**
+	 * The overrides folder defaults to "overrides".
+	 */
+	const overrides = typeof manifest.overrides == "string" ? manifest.overrides : "overrides";
+	const overridesPath = path.join(options.sourceDirectory, overrides);
+	if (!fs.existsSync(overridesPath) || !fs.statSync(overridesPath).isDirectory()) {
+		const overridesJsonPath = manifest.overrides === undefined ? "$" : joinPath("$", "overrides");
+		error(overridesJsonPath, `Overrides folder ${overridesPath} doesn't exist.`);
+	}
+
+	return diagnostics;
+}
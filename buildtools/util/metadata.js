@@ -0,0 +1,175 @@
+const fs = require("fs");
+const log = require("fancy-log");
+const path = require("path").posix;
+const Promise = require("bluebird");
+
+const { retryRequest } = require("./downloaders.js");
+
+/**
+ * @typedef {object} MetadataEntry
+ * @property {string} key Entry key.
+ * @property {string} [url] URL the entry was fetched from.
+ * @property {number} fetched Fetch timestamp. (milliseconds)
+ * @property {any} data Response.
+ */
+
+/**
+ * @typedef {object} MetadataRequestDef
+ * @property {string} key Entry key, e.g. `curseforge/addon/238222`.
+ * @property {object} request Request options. (see request-promise)
+ */
+
+/**
+ * Thrown when metadata entries are missing from the store in offline mode.
+ */
+class MissingMetadataError extends Error {
+	/**
+	 * @param {string[]} missing Missing entry keys.
+	 */
+	constructor(missing) {
+		super(
+			`Offline mode: ${missing.length} metadata entries are missing from the store:\n`
+			+ missing.map(key => `  - ${key}`).join("\n")
+			+ "\nRun an online build first to populate the store."
+		);
+
+		this.name = "MissingMetadataError";
+		this.missing = missing;
+	}
+}
+
+/**
+ * @typedef {object} MetadataStoreOptions
+ * @property {boolean} [offline=false] Never go to the network.
+ * @property {number} [maxRetries=5] Max retries per request.
+ */
+
+/**
+ * On-disk store of metadata responses.
+ *
+ * Every response fetched online is saved with a timestamp.
+ * In offline mode, responses are served purely from the store.
+ */
+class MetadataStore {
+	/**
+	 * @param {string} directory Store directory.
+	 * @param {MetadataStoreOptions} options
+	 */
+	constructor(directory, options = {}) {
+		this.directory  = directory;
+		this.offline    = !!options.offline;
+		this.maxRetries = options.maxRetries || 5;
+	}
+
+	/**
+	 * @param {string} key
+	 */
+	__entryPath(key) {
+		const safeKey = key
+			.split("/")
+			.map(segment => segment.replace(/[^\w.-]/g, "_"))
+			.join("/");
+
+		return path.join(this.directory, `${safeKey}.json`);
+	}
+
+	/**
+	 * Returns a stored entry.
+	 *
+	 * @param {string} key
+	 * @returns {MetadataEntry|null}
+	 */
+	get(key) {
+		const entryPath = this.__entryPath(key);
+		if (!fs.existsSync(entryPath)) {
+			return null;
+		}
+
+		try {
+			return JSON.parse(fs.readFileSync(entryPath));
+		} catch (err) {
+			return null;
+		}
+	}
+
+	/**
+	 * Saves an entry.
+	 *
+	 * @param {string} key
+	 * @param {string} url
+	 * @param {any} data
+	 */
+	save(key, url, data) {
+		const entryPath = this.__entryPath(key);
+		const tempPath = `${entryPath}.${process.pid}.tmp`;
+
+		fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+		fs.writeFileSync(tempPath, JSON.stringify({
+			key: key
+			, url: url
+			, fetched: Date.now()
+			, data: data
+		}));
+		fs.renameSync(tempPath, entryPath);
+	}
+
+	/**
+	 * Fetches a JSON response and saves it into the store.
+	 *
+	 * Serves the stored response in offline mode, or if the network fails.
+	 *
+	 * @param {string} key Entry key.
+	 * @param {object} requestOptions Request options.
+	 * @returns {Promise<any>}
+	 */
+	fetch(key, requestOptions) {
+		if (this.offline) {
+			const entry = this.get(key);
+			return entry
+				? Promise.resolve(entry.data)
+				: Promise.reject(new MissingMetadataError([key]));
+		}
+
+		return retryRequest(this.maxRetries, { json: true, ...requestOptions })
+			.then((data) => {
+				this.save(key, requestOptions.uri, data);
+				return data;
+			})
+			.catch((err) => {
+				const entry = this.get(key);
+				if (entry) {
+					log.warn(`Failed to fetch ${key}, using the response saved at ${new Date(entry.fetched).toISOString()}.`);
+					return entry.data;
+				}
+
+				throw err;
+			});
+	}
+
+	/**
+	 * Fetches multiple JSON responses.
+	 *
+	 * In offline mode, rejects with a MissingMetadataError listing
+	 * every missing entry, not just the first one.
+	 *
+	 * @param {MetadataRequestDef[]} defs
+	 * @param {number} [concurrency=5]
+	 * @returns {Promise<any[]>}
+	 */
+	fetchAll(defs, concurrency = 5) {
+		if (this.offline) {
+			const missing = defs
+				.filter(def => !this.get(def.key))
+				.map(def => def.key);
+
+			if (missing.length > 0) {
+				return Promise.reject(new MissingMetadataError(missing));
+			}
+		}
+
+		return Promise.map(defs, def => this.fetch(def.key, def.request), { concurrency: concurrency });
+	}
+}
+
+exports.MetadataStore = MetadataStore;
+exports.MissingMetadataError = MissingMetadataError;
@@ -0,0 +1,479 @@
+const path = require("path").posix;
+const unzip = require("unzipper");
+const Promise = require("bluebird");
+
+/**
+ * @typedef {object} ModMetadata
+ * @property {string} id Mod ID.
+ * @property {string} [name] Display name.
+ * @property {string} [version] Mod version.
+ * @property {string|string[]} [minecraft] Declared Minecraft version, range or predicate.
+ */
+
+/**
+ * @typedef {object} JarMetadata
+ * @property {string} file Jar file name.
+ * @property {"mcmod.info"|"mods.toml"|"fabric.mod.json"|null} format Metadata format, null if there's none.
+ * @property {ModMetadata[]} mods Mods declared by the jar.
+ * @property {string} [error] Why the metadata couldn't be read.
+ */
+
+/**
+ * Splits a version into comparable parts.
+ *
+ * @param {string} version
+ * @returns {string[]}
+ */
+const versionParts = (version) => version.trim().split(/[.+-]/);
+
+/**
+ * Compares two versions part by part. Missing parts count as 0.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal.
+ */
+const compareVersions = (a, b) => {
+	const partsA = versionParts(a);
+	const partsB = versionParts(b);
+
+	for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+		const partA = partsA[i] || "0";
+		const partB = partsB[i] || "0";
+
+		if (/^\d+$/.test(partA) && /^\d+$/.test(partB)) {
+			const diff = Number(partA) - Number(partB);
+			if (diff != 0) {
+				return diff;
+			}
+		} else if (partA != partB) {
+			return partA < partB ? -1 : 1;
+		}
+	}
+
+	return 0;
+}
+
+exports.compareVersions = compareVersions;
+
+/**
+ * Checks whether a version is within a Maven version range,
+ * e.g. `[1.16.5,1.17)`. Used by mods.toml and some mcmod.info files.
+ *
+ * A bare version is a soft requirement and matches anything.
+ *
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+const inMavenRange = (version, range) => {
+	range = range.trim();
+	if (!/^[\[(]/.test(range)) {
+		return true;
+	}
+
+	/**
+	 * Ranges can be joined with commas, e.g. `[1.12,1.12.2],[1.16.5]`.
+	 */
+	const parts = range.match(/[\[(][^\])]*[\])]/g) || [];
+
+	return parts.some((part) => {
+		const parsed = /^([\[(])\s*([^,]*?)\s*(?:(,)\s*([^,]*?)\s*)?([\])])$/.exec(part);
+		if (!parsed) {
+			return false;
+		}
+
+		const [, open, lower, comma, upper, close] = parsed;
+		if (!comma) {
+			return compareVersions(version, lower) == 0;
+		}
+
+		if (lower) {
+			const cmp = compareVersions(version, lower);
+			if (open == "[" ? cmp < 0 : cmp <= 0) {
+				return false;
+			}
+		}
+
+		if (upper) {
+			const cmp = compareVersions(version, upper);
+			if (close == "]" ? cmp > 0 : cmp >= 0) {
+				return false;
+			}
+		}
+
+		return true;
+	});
+}
+
+exports.inMavenRange = inMavenRange;
+
+/**
+ * Checks whether a version matches a single Fabric comparator,
+ * e.g. `>=1.16.5`, `~1.16`, `1.16.x`.
+ *
+ * @param {string} version
+ * @param {string} comparator
+ * @returns {boolean}
+ */
+const matchesFabricComparator = (version, comparator) => {
+	const parsed = /^(>=|<=|>|<|=|\^|~)?\s*(.*)$/.exec(comparator.trim());
+	const op = parsed[1] || "=";
+	const target = parsed[2];
+
+	if (target == "" || target == "*") {
+		return true;
+	}
+
+	/**
+	 * Wildcards only make sense with equality.
+	 */
+	const wildcard = versionParts(target).findIndex(part => /^[xX*]$/.test(part));
+	if (wildcard != -1) {
+		const prefix = versionParts(target).slice(0, wildcard);
+		return prefix.every((part, index) => compareVersions(versionParts(version)[index] || "0", part) == 0);
+	}
+
+	const cmp = compareVersions(version, target);
+	const parts = versionParts(version);
+	const targetParts = versionParts(target);
+
+	switch (op) {
+		case ">=": return cmp >= 0;
+		case "<=": return cmp <= 0;
+		case ">": return cmp > 0;
+		case "<": return cmp < 0;
+		case "~": return cmp >= 0 && compareVersions(parts.slice(0, 2).join("."), targetParts.slice(0, 2).join(".")) == 0;
+		case "^": return cmp >= 0 && compareVersions(parts[0], targetParts[0]) == 0;
+		default: return cmp == 0;
+	}
+}
+
+/**
+ * Checks whether a version matches a Fabric version predicate.
+ *
+ * Space-separated comparators must all match. Arrays match if any predicate does.
+ *
+ * @param {string} version
+ * @param {string|string[]} predicate
+ * @returns {boolean}
+ */
+const matchesFabricPredicate = (version, predicate) => {
+	return [].concat(predicate).some((entry) => {
+		return String(entry).trim().split(/\s+/).every(comparator => matchesFabricComparator(version, comparator));
+	});
+}
+
+exports.matchesFabricPredicate = matchesFabricPredicate;
+
+/**
+ * Parses a single TOML value. Arrays and inline tables aren't supported.
+ *
+ * @param {string} raw
+ * @returns {any}
+ */
+const parseTomlValue = (raw) => {
+	let match;
+
+	if ((match = /^"((?:[^"\\]|\\.)*)"/.exec(raw))) {
+		return JSON.parse(`"${match[1]}"`);
+	}
+
+	if ((match = /^'([^']*)'/.exec(raw))) {
+		return match[1];
+	}
+
+	if ((match = /^(true|false)\b/.exec(raw))) {
+		return match[1] == "true";
+	}
+
+	if ((match = /^[+-]?\d[\d_]*(\.\d+)?\b/.exec(raw))) {
+		return Number(match[0].replace(/_/g, ""));
+	}
+
+	return raw.replace(/\s+#.*$/, "");
+}
+
+/**
+ * Parses the subset of TOML used by mods.toml.
+ *
+ * Handles tables, arrays of tables, strings (including multiline ones),
+ * booleans and numbers, which is everything needed to read mod IDs and dependencies.
+ *
+ * @param {string} text
+ * @returns {object}
+ */
+const parseModsToml = (text) => {
+	const root = {};
+	let current = root;
+
+	const resolveKeys = (header) => header.split(".").map(key => key.trim().replace(/^["']|["']$/g, ""));
+
+	const lines = text.split(/\r?\n/);
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		let match;
+
+		if (!line || line.startsWith("#")) {
+			continue;
+		}
+
+		if ((match = /^\[\[\s*(.+?)\s*\]\]/.exec(line)) || (match = /^\[\s*(.+?)\s*\]/.exec(line))) {
+			const isArray = line.startsWith("[[");
+			const keys = resolveKeys(match[1]);
+			const last = keys.pop();
+
+			let parent = root;
+			keys.forEach(key => parent = parent[key] = parent[key] || {});
+
+			if (isArray) {
+				parent[last] = parent[last] || [];
+				current = {};
+				parent[last].push(current);
+			} else {
+				current = parent[last] = parent[last] || {};
+			}
+
+			continue;
+		}
+
+		if ((match = /^("[^"]+"|'[^']+'|[\w-]+)\s*=\s*(.*)$/.exec(line))) {
+			const key = match[1].replace(/^["']|["']$/g, "");
+			const raw = match[2];
+
+			/**
+			 * Multiline strings, usually descriptions.
+			 */
+			const multiline = /^('''|""")/.exec(raw);
+			if (multiline) {
+				let body = raw.substring(3);
+				while (!body.includes(multiline[1]) && i + 1 < lines.length) {
+					body += "\n" + lines[++i];
+				}
+
+				current[key] = body.substring(0, body.indexOf(multiline[1]));
+				continue;
+			}
+
+			current[key] = parseTomlValue(raw);
+		}
+	}
+
+	return root;
+}
+
+exports.parseModsToml = parseModsToml;
+
+/**
+ * Parses JSON written by hand, tolerating raw line breaks in strings
+ * which plenty of mcmod.info files have.
+ *
+ * @param {string} text
+ */
+const parseLenientJson = (text) => {
+	text = text.replace(/^\uFEFF/, "");
+
+	try {
+		return JSON.parse(text);
+	} catch (err) {
+		return JSON.parse(text.replace(/\r?\n/g, " "));
+	}
+}
+
+/**
+ * Metadata readers in order of preference.
+ *
+ * Each one turns file contents into a list of mods.
+ */
+const READERS = [
+	{
+		format: "fabric.mod.json"
+		, file: "fabric.mod.json"
+		, read: (text) => {
+			const json = parseLenientJson(text);
+
+			return [{
+				id: json.id
+				, name: json.name
+				, version: json.version
+				, minecraft: json.depends && json.depends.minecraft
+			}];
+		}
+	},
+	{
+		format: "mods.toml"
+		, file: "META-INF/mods.toml"
+		, read: (text, manifest) => {
+			const toml = parseModsToml(text);
+
+			return (toml.mods || []).map((mod) => {
+				const minecraft = ((toml.dependencies || {})[mod.modId] || []).find(dep => dep.modId == "minecraft");
+
+				/**
+				 * Forge fills the version in from the jar manifest.
+				 */
+				let version = mod.version;
+				if (version == "${file.jarVersion}" && manifest) {
+					const implVersion = /^Implementation-Version:\s*(.+?)\s*$/m.exec(manifest);
+					version = implVersion ? implVersion[1] : version;
+				}
+
+				return {
+					id: mod.modId
+					, name: mod.displayName
+					, version: version
+					, minecraft: minecraft && minecraft.versionRange
+				};
+			});
+		}
+	},
+	{
+		format: "mcmod.info"
+		, file: "mcmod.info"
+		, read: (text) => {
+			const json = parseLenientJson(text);
+
+			/**
+			 * Version 2 wraps the list into an object.
+			 */
+			const modList = Array.isArray(json) ? json : (json.modList || []);
+
+			return modList.map((mod) => {
+				return {
+					id: mod.modid
+					, name: mod.name
+					, version: mod.version
+					, minecraft: mod.mcversion
+				};
+			});
+		}
+	}
+];
+
+/**
+ * Reads mod metadata from a jar.
+ *
+ * @param {string} jarPath
+ * @returns {Promise<JarMetadata>}
+ */
+exports.readJarMetadata = (jarPath) => {
+	const result = {
+		file: path.basename(jarPath)
+		, format: null
+		, mods: []
+	};
+
+	return Promise.resolve(unzip.Open.file(jarPath))
+		.then((directory) => {
+			const findEntry = (name) => directory.files.find(x => x.path == name);
+
+			const reader = READERS.find(reader => findEntry(reader.file));
+			if (!reader) {
+				return result;
+			}
+
+			const manifestEntry = findEntry("META-INF/MANIFEST.MF");
+
+			return Promise.all([
+				findEntry(reader.file).buffer(),
+				manifestEntry ? manifestEntry.buffer() : null
+			]).then(([buffer, manifest]) => {
+				result.format = reader.format;
+				result.mods = reader.read(buffer.toString(), manifest && manifest.toString())
+					.filter(mod => mod.id);
+
+				return result;
+			});
+		})
+		.catch((error) => {
+			result.error = error.message;
+			return result;
+		});
+}
+
+/**
+ * Checks whether a mod declares support for the given Minecraft version.
+ *
+ * Placeholders like `${mcversion}` count as undeclared.
+ *
+ * @param {ModMetadata} mod
+ * @param {"mcmod.info"|"mods.toml"|"fabric.mod.json"} format
+ * @param {string} minecraftVersion
+ * @returns {boolean|null} Null if the mod doesn't declare a version.
+ */
+const supportsMinecraft = (mod, format, minecraftVersion) => {
+	const declared = mod.minecraft;
+	if (declared === undefined || declared === null || declared === "" || String(declared).includes("${")) {
+		return null;
+	}
+
+	switch (format) {
+		case "fabric.mod.json":
+			return matchesFabricPredicate(minecraftVersion, declared);
+
+		case "mods.toml":
+			return inMavenRange(minecraftVersion, String(declared));
+
+		default: {
+			const mcversion = String(declared).trim();
+			if (/^[\[(]/.test(mcversion)) {
+				return inMavenRange(minecraftVersion, mcversion);
+			}
+
+			/**
+			 * `1.12` covers every 1.12.x release.
+			 */
+			return minecraftVersion == mcversion || minecraftVersion.startsWith(mcversion + ".");
+		}
+	}
+}
+
+exports.supportsMinecraft = supportsMinecraft;
+
+/**
+ * @typedef {object} ModReport
+ * @property {string} minecraftVersion Minecraft version of the modpack.
+ * @property {JarMetadata[]} jars Metadata of every jar.
+ * @property {{ id: string, files: string[] }[]} duplicates Mod IDs declared by more than one jar.
+ * @property {{ file: string, id: string, minecraft: string|string[] }[]} versionMismatches Mods declaring
+ * a different Minecraft version.
+ * @property {string[]} missingMetadata Jars without any metadata.
+ */
+
+/**
+ * Inspects jars and looks for duplicate mod IDs, Minecraft version mismatches
+ * and jars without metadata.
+ *
+ * @param {string[]} jarPaths
+ * @param {string} minecraftVersion
+ * @returns {Promise<ModReport>}
+ */
+exports.inspectJars = (jarPaths, minecraftVersion) => {
+	return Promise.map(jarPaths, exports.readJarMetadata, { concurrency: 5 }).then((jars) => {
+		/**
+		 * Map mod IDs to jars declaring them.
+		 */
+		const owners = new Map();
+		jars.forEach((jar) => {
+			new Set(jar.mods.map(mod => mod.id)).forEach((id) => {
+				owners.set(id, [...(owners.get(id) || []), jar.file]);
+			});
+		});
+
+		return {
+			minecraftVersion: minecraftVersion
+			, jars: jars
+			, duplicates: [...owners]
+				.filter(([, files]) => files.length > 1)
+				.map(([id, files]) => ({ id: id, files: files }))
+			, versionMismatches: jars.flatMap((jar) => {
+				return jar.mods
+					.filter(mod => supportsMinecraft(mod, jar.format, minecraftVersion) === false)
+					.map(mod => ({ file: jar.file, id: mod.id, minecraft: mod.minecraft }));
+			})
+			, missingMetadata: jars
+				.filter(jar => !jar.format)
+				.map(jar => jar.file)
+		};
+	});
+}
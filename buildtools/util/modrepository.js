@@ -0,0 +1,308 @@
+const Promise = require("bluebird");
+
+/**
+ * @typedef {object} ModInfo
+ * @property {number} id Project ID.
+ * @property {string} name Project name.
+ * @property {string} [websiteUrl] Project page.
+ * @property {string[]} authors Author names.
+ */
+
+/**
+ * @typedef {object} FileDependency
+ * @property {number} projectID Project ID of the dependency.
+ * @property {"embedded"|"optional"|"required"|"tool"|"incompatible"|"include"} type Relation type.
+ */
+
+/**
+ * @typedef {object} FileInfo
+ * @property {number} id File ID.
+ * @property {number} projectID Project ID.
+ * @property {string} fileName File name.
+ * @property {string} [displayName] Display name.
+ * @property {string} [fileDate] Upload date.
+ * @property {number} [fileLength] Size in bytes.
+ * @property {string} downloadUrl Download URL, resolved even if the API doesn't provide one.
+ * @property {number} [fingerprint] MurmurHash fingerprint.
+ * @property {string} [sha1] SHA1 hash.
+ * @property {FileDependency[]} dependencies Dependencies.
+ */
+
+/**
+ * Relation types shared by both API versions.
+ */
+const DEPENDENCY_TYPES = {
+	1: "embedded"
+	, 2: "optional"
+	, 3: "required"
+	, 4: "tool"
+	, 5: "incompatible"
+	, 6: "include"
+};
+
+exports.DEPENDENCY_TYPES = DEPENDENCY_TYPES;
+
+/**
+ * CurseForge hash algorithm IDs.
+ */
+const HASH_ALGO_SHA1 = 1;
+
+/**
+ * @typedef {object} ModRepositoryOptions
+ * @property {string} url Base API URL.
+ * @property {string} [apiKey] API key.
+ * @property {string} cdnUrl CDN base URL, used for files without a download URL.
+ * @property {import("./metadata.js").MetadataStore} metadata Metadata store.
+ * @property {number} [concurrency=5] Max amount of concurrent requests.
+ */
+
+/**
+ * Base mod repository.
+ *
+ * Fetches responses through the metadata store and normalizes them,
+ * so tasks don't depend on a specific API version.
+ */
+class ModRepository {
+	/**
+	 * @param {ModRepositoryOptions} options
+	 */
+	constructor(options) {
+		this.url         = options.url.replace(/\/?$/, "/");
+		this.apiKey      = options.apiKey;
+		this.cdnUrl      = options.cdnUrl.replace(/\/?$/, "/");
+		this.metadata    = options.metadata;
+		this.concurrency = options.concurrency || 5;
+	}
+
+	/**
+	 * Returns the metadata store key and request for a project.
+	 *
+	 * @param {number} projectID
+	 * @returns {import("./metadata.js").MetadataRequestDef}
+	 */
+	__modRequest(projectID) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Returns the metadata store key and request for a file.
+	 *
+	 * @param {number} projectID
+	 * @param {number} fileID
+	 * @returns {import("./metadata.js").MetadataRequestDef}
+	 */
+	__fileRequest(projectID, fileID) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * @param {any} response
+	 * @returns {ModInfo}
+	 */
+	__normalizeMod(response) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * @param {any} response
+	 * @param {number} projectID
+	 * @returns {FileInfo}
+	 */
+	__normalizeFile(response, projectID) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Builds the CDN URL of a file.
+	 *
+	 * Files of projects with third-party distribution disabled
+	 * come without a download URL, but they're still on the CDN.
+	 *
+	 * @param {number} fileID
+	 * @param {string} fileName
+	 * @returns {string}
+	 */
+	__cdnUrl(fileID, fileName) {
+		return this.cdnUrl + `${Math.floor(fileID / 1000)}/${fileID % 1000}/${encodeURIComponent(fileName)}`;
+	}
+
+	/**
+	 * Makes sure the repository can be queried, e.g. that it has an API key.
+	 *
+	 * @throws {Error} Throws if it can't.
+	 */
+	checkCredentials() {
+	}
+
+	/**
+	 * Fetches project descriptions.
+	 *
+	 * @param {number[]} projectIDs
+	 * @returns {Promise<ModInfo[]>} Project descriptions, in the same order.
+	 */
+	getMods(projectIDs) {
+		return Promise.resolve()
+			.then(() => this.checkCredentials())
+			.then(() => this.metadata.fetchAll(projectIDs.map(id => this.__modRequest(id)), this.concurrency))
+			.then(responses => responses.map(response => this.__normalizeMod(response)));
+	}
+
+	/**
+	 * Fetches file descriptions.
+	 *
+	 * @param {{ projectID: number, fileID: number }[]} files
+	 * @returns {Promise<FileInfo[]>} File descriptions, in the same order.
+	 */
+	getFiles(files) {
+		return Promise.resolve()
+			.then(() => this.checkCredentials())
+			.then(() => this.metadata.fetchAll(files.map(file => this.__fileRequest(file.projectID, file.fileID)), this.concurrency))
+			.then(responses => responses.map((response, index) => this.__normalizeFile(response, files[index].projectID)));
+	}
+}
+
+/**
+ * CurseForge Core API. (https://api.curseforge.com/)
+ *
+ * Requires an API key.
+ */
+class CurseForgeRepository extends ModRepository {
+	/**
+	 * Offline builds are served from the metadata store and need no key.
+	 */
+	checkCredentials() {
+		if (!this.apiKey && !this.metadata.offline) {
+			throw new Error("The CurseForge Core API requires an API key."
+				+ " Set the CURSEFORGE_API_KEY env. variable or modRepositoryApiKey.");
+		}
+	}
+
+	__headers() {
+		return this.apiKey ? { "x-api-key": this.apiKey } : {};
+	}
+
+	__modRequest(projectID) {
+		return {
+			key: `curseforge-core/mods/${projectID}`
+			, request: { uri: this.url + `v1/mods/${projectID}`, headers: this.__headers() }
+		};
+	}
+
+	__fileRequest(projectID, fileID) {
+		return {
+			key: `curseforge-core/mods/${projectID}/files/${fileID}`
+			, request: { uri: this.url + `v1/mods/${projectID}/files/${fileID}`, headers: this.__headers() }
+		};
+	}
+
+	__normalizeMod(response) {
+		const mod = response.data;
+
+		return {
+			id: mod.id
+			, name: mod.name
+			, websiteUrl: mod.links && mod.links.websiteUrl
+			, authors: (mod.authors || []).map(author => author.name)
+		};
+	}
+
+	__normalizeFile(response, projectID) {
+		const file = response.data;
+		const sha1 = (file.hashes || []).find(hash => hash.algo == HASH_ALGO_SHA1);
+
+		return {
+			id: file.id
+			, projectID: file.modId || projectID
+			, fileName: file.fileName
+			, displayName: file.displayName
+			, fileDate: file.fileDate
+			, fileLength: file.fileLength
+			, downloadUrl: file.downloadUrl || this.__cdnUrl(file.id, file.fileName)
+			, fingerprint: file.fileFingerprint
+			, sha1: sha1 && sha1.value
+			, dependencies: (file.dependencies || []).map(dep => {
+				return {
+					projectID: dep.modId
+					, type: DEPENDENCY_TYPES[dep.relationType]
+				};
+			})
+		};
+	}
+}
+
+/**
+ * Retired CurseForge API. (https://addons-ecs.forgesvc.net/)
+ *
+ * Kept around for stand-in servers mimicking it.
+ */
+class LegacyCurseForgeRepository extends ModRepository {
+	__modRequest(projectID) {
+		return {
+			key: `curseforge/addon/${projectID}`
+			, request: { uri: this.url + `api/v2/addon/${projectID}` }
+		};
+	}
+
+	__fileRequest(projectID, fileID) {
+		return {
+			key: `curseforge/addon/${projectID}/file/${fileID}`
+			, request: { uri: this.url + `api/v2/addon/${projectID}/file/${fileID}` }
+		};
+	}
+
+	__normalizeMod(response) {
+		return {
+			id: response.id
+			, name: response.name
+			, websiteUrl: response.websiteUrl
+			, authors: (response.authors || []).map(author => author.name)
+		};
+	}
+
+	__normalizeFile(response, projectID) {
+		const sha1 = (response.hashes || []).find(hash => hash.algorithm == HASH_ALGO_SHA1);
+
+		return {
+			id: response.id
+			, projectID: projectID
+			, fileName: response.fileName
+			, displayName: response.displayName
+			, fileDate: response.fileDate
+			, fileLength: response.fileLength
+			, downloadUrl: response.downloadUrl || this.__cdnUrl(response.id, response.fileName)
+			, fingerprint: response.packageFingerprint
+			, sha1: sha1 && sha1.value
+			, dependencies: (response.dependencies || []).map(dep => {
+				return {
+					projectID: dep.addonId
+					, type: DEPENDENCY_TYPES[dep.type]
+				};
+			})
+		};
+	}
+}
+
+const BACKENDS = {
+	"curseforge": CurseForgeRepository
+	, "curseforge-legacy": LegacyCurseForgeRepository
+};
+
+/**
+ * Creates a mod repository client.
+ *
+ * @param {string} backend Backend name, `curseforge` or `curseforge-legacy`.
+ * @param {ModRepositoryOptions} options
+ * @returns {ModRepository}
+ */
+exports.createModRepository = (backend, options) => {
+	const Backend = BACKENDS[backend];
+	if (!Backend) {
+		throw new Error(`Unknown mod repository backend ${backend}. (expected one of ${Object.keys(BACKENDS).join(", ")})`);
+	}
+
+	return new Backend(options);
+}
+
+exports.ModRepository = ModRepository;
+exports.CurseForgeRepository = CurseForgeRepository;
+exports.LegacyCurseForgeRepository = LegacyCurseForgeRepository;
@@ -0,0 +1,88 @@
+const { URL } = require("url");
+
+const { sha1 } = require("./hashes.js");
+
+/**
+ * Can be overridden to test against a mock.
+ */
+const MODRINTH_ENDPOINT = (process.env.MODRINTH_API_URL || "https://api.modrinth.com/").replace(/\/?$/, "/");
+
+exports.MODRINTH_ENDPOINT = MODRINTH_ENDPOINT;
+
+/**
+ * Hosts Modrinth accepts in .mrpack downloads.
+ */
+const ALLOWED_DOWNLOAD_HOSTS = [
+	"cdn.modrinth.com"
+	, "github.com"
+	, "raw.githubusercontent.com"
+	, "gitlab.com"
+];
+
+exports.ALLOWED_DOWNLOAD_HOSTS = ALLOWED_DOWNLOAD_HOSTS;
+
+/**
+ * Checks whether .mrpack files may point at the given URL.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isAllowedDownload = (url) => {
+	try {
+		const parsed = new URL(url);
+		return parsed.protocol == "https:" && ALLOWED_DOWNLOAD_HOSTS.includes(parsed.hostname);
+	} catch (err) {
+		return false;
+	}
+}
+
+exports.isAllowedDownload = isAllowedDownload;
+
+/**
+ * Picks download URLs of files out of a `/v2/version_files` response.
+ *
+ * @param {Object.<string, object>} versions Versions by SHA-1.
+ * @param {string[]} hashes SHA-1 hashes of the files.
+ * @returns {Object.<string, string>} Download URLs by SHA-1, only for files Modrinth has.
+ */
+const pickDownloadUrls = (versions, hashes) => {
+	const urls = {};
+
+	hashes.forEach((hash) => {
+		const version = (versions || {})[hash];
+		const file = version && (version.files || []).find(file => file.hashes && file.hashes.sha1 == hash);
+
+		if (file && isAllowedDownload(file.url)) {
+			urls[hash] = file.url;
+		}
+	});
+
+	return urls;
+}
+
+exports.pickDownloadUrls = pickDownloadUrls;
+
+/**
+ * Looks files up on Modrinth by their SHA-1 hashes.
+ *
+ * Goes through the metadata store, so offline builds reuse the last lookup
+ * of the same set of files.
+ *
+ * @param {import("./metadata.js").MetadataStore} metadata
+ * @param {string[]} hashes SHA-1 hashes of the files.
+ * @param {string} userAgent Modrinth asks for an identifying User-Agent.
+ * @returns {Promise<Object.<string, string>>} Download URLs by SHA-1, only for files Modrinth has.
+ */
+exports.getDownloadUrls = (metadata, hashes, userAgent) => {
+	const sorted = [...new Set(hashes)].sort();
+	if (sorted.length == 0) {
+		return Promise.resolve({});
+	}
+
+	return metadata.fetch(`modrinth/version_files/${sha1(sorted.join("\n"))}`, {
+		uri: MODRINTH_ENDPOINT + "v2/version_files"
+		, method: "POST"
+		, headers: { "User-Agent": userAgent }
+		, body: { hashes: sorted, algorithm: "sha1" }
+	}).then(versions => pickDownloadUrls(versions, sorted));
+}
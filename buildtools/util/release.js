@@ -0,0 +1,66 @@
+const RELEASE_TYPES = ["alpha", "beta", "release"];
+
+exports.RELEASE_TYPES = RELEASE_TYPES;
+
+/**
+ * @param {string} type
+ * @param {string} source Where the type came from, for error messages.
+ */
+const checkReleaseType = (type, source) => {
+	if (!RELEASE_TYPES.includes(type)) {
+		throw new Error(`Unknown release type ${type} in ${source}. (expected one of ${RELEASE_TYPES.join(", ")})`);
+	}
+
+	return type;
+}
+
+/**
+ * Pre-release words only count as separate parts of a tag,
+ * so `v1.0.0-rc.1` is a beta but `v2.0-arcane` isn't.
+ */
+const REGEX_ALPHA = /(^|[-.+_])alpha([-.+_\d]|$)/i;
+const REGEX_BETA = /(^|[-.+_])(beta|rc|pre(view|release)?)([-.+_\d]|$)/i;
+
+/**
+ * @typedef {object} ReleaseTypeOptions
+ * @property {string} [override] Release type to use regardless of the tag or branch.
+ * @property {Object.<string, string>} [branches] Release types of untagged builds by branch.
+ */
+
+/**
+ * Works out the release type of a build from its git tag or branch.
+ *
+ * Tags with an alpha part are alphas, tags with a beta, rc, pre, preview
+ * or prerelease part are betas, any other tag is a release.
+ *
+ * Untagged builds are alphas unless their branch is mapped to something else.
+ *
+ * @param {{ tag?: string, branch?: string }} build
+ * @param {ReleaseTypeOptions} [options]
+ * @returns {"alpha"|"beta"|"release"}
+ *
+ * @throws {Error} Throws if a configured release type is unknown.
+ */
+exports.getReleaseType = (build, options = {}) => {
+	if (options.override) {
+		return checkReleaseType(options.override, "the override");
+	}
+
+	if (!build.tag) {
+		const branches = options.branches || {};
+
+		return branches[build.branch]
+			? checkReleaseType(branches[build.branch], `the mapping of branch ${build.branch}`)
+			: "alpha";
+	}
+
+	if (REGEX_ALPHA.test(build.tag)) {
+		return "alpha";
+	}
+
+	if (REGEX_BETA.test(build.tag)) {
+		return "beta";
+	}
+
+	return "release";
+}
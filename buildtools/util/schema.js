@@ -0,0 +1,138 @@
+/**
+ * @typedef {object} Schema
+ * @property {SchemaType|SchemaType[]} [type] Expected type, or any of several types.
+ * Any type is accepted if omitted.
+ * @property {boolean} [required] Whether the property must be present in its parent object.
+ * @property {any[]} [enum] Allowed values.
+ * @property {RegExp} [pattern] Pattern strings must match.
+ * @property {number} [minimum] Smallest allowed number.
+ * @property {number} [maximum] Largest allowed number.
+ * @property {string} [hint] Appended to `enum` and `pattern` diagnostics, e.g. an example value.
+ * @property {Object.<string, Schema>} [properties] Schemas of object properties.
+ * @property {Schema} [items] Schema of array items.
+ * @property {Schema} [values] Schema of every property of an object, for maps with arbitrary keys.
+ */
+
+/**
+ * @typedef {"string"|"number"|"integer"|"boolean"|"object"|"array"|"null"} SchemaType
+ */
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {"error"|"warning"} severity Severity.
+ * @property {string} path JSON path of the offending value, e.g. `$.files[0].projectID`.
+ * @property {string} message Description of the problem.
+ */
+
+/**
+ * Returns the type name of a value, telling arrays and nulls apart from objects.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+	if (value === null) {
+		return "null";
+	}
+
+	if (Array.isArray(value)) {
+		return "array";
+	}
+
+	return typeof value;
+}
+
+exports.typeOf = typeOf;
+
+/**
+ * @param {any} value
+ * @param {string} type
+ */
+const matchesType = (value, type) => {
+	switch (type) {
+		case "integer":
+			return Number.isInteger(value);
+		case "number":
+			return typeof value == "number" && isFinite(value);
+		default:
+			return typeOf(value) == type;
+	}
+}
+
+/**
+ * Appends a property name to a JSON path.
+ *
+ * @param {string} path
+ * @param {string} key
+ */
+const joinPath = (path, key) => /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+
+exports.joinPath = joinPath;
+
+/**
+ * Validates a value against a schema.
+ *
+ * Doesn't stop at the first problem, every diagnostic is returned.
+ *
+ * @param {any} value Value to validate.
+ * @param {Schema} schema Schema to validate against.
+ * @param {string} [path="$"] JSON path of the value.
+ * @returns {Diagnostic[]}
+ */
+const validate = (value, schema, path = "$") => {
+	const diagnostics = [];
+	const error = (path, message) => diagnostics.push({ severity: "error", path: path, message: message });
+	const hint = schema.hint ? ` (${schema.hint})` : "";
+
+	const types = [].concat(schema.type || []);
+	if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+		error(path, `Expected ${types.join(" or ")}, got ${typeOf(value)}.`);
+		return diagnostics;
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		error(path, `Unknown value ${JSON.stringify(value)}, expected one of ${schema.enum.map(x => JSON.stringify(x)).join(", ")}.`);
+	}
+
+	if (schema.pattern && typeof value == "string" && !schema.pattern.test(value)) {
+		error(path, `Malformed value ${JSON.stringify(value)}.${hint}`);
+	}
+
+	if (schema.minimum !== undefined && typeof value == "number" && value < schema.minimum) {
+		error(path, `Expected at least ${schema.minimum}, got ${value}.`);
+	}
+
+	if (schema.maximum !== undefined && typeof value == "number" && value > schema.maximum) {
+		error(path, `Expected at most ${schema.maximum}, got ${value}.`);
+	}
+
+	if (schema.properties && typeOf(value) == "object") {
+		Object.keys(schema.properties).forEach((key) => {
+			const propSchema = schema.properties[key];
+
+			if (value[key] === undefined) {
+				if (propSchema.required) {
+					error(joinPath(path, key), "Missing required property.");
+				}
+			} else {
+				diagnostics.push(...validate(value[key], propSchema, joinPath(path, key)));
+			}
+		});
+	}
+
+	if (schema.values && typeOf(value) == "object") {
+		Object.keys(value).forEach((key) => {
+			diagnostics.push(...validate(value[key], schema.values, joinPath(path, key)));
+		});
+	}
+
+	if (schema.items && Array.isArray(value)) {
+		value.forEach((item, index) => {
+			diagnostics.push(...validate(item, schema.items, `${path}[${index}]`));
+		});
+	}
+
+	return diagnostics;
+}
+
+exports.validate = validate;
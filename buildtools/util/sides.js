@@ -0,0 +1,112 @@
+/**
+ * Projects known to crash or misbehave on dedicated servers.
+ *
+ * Used to warn if one of them is about to be bundled into the server.
+ */
+exports.KNOWN_CLIENT_ONLY_PROJECTS = {
+	60089: "Mouse Tweaks"
+	, 226406: "Custom Main Menu"
+	, 228529: "Better Foliage"
+	, 232131: "Default Options"
+	, 238372: "Neat"
+	, 238891: "Dynamic Surroundings"
+	, 250685: "Controlling"
+	, 263420: "Xaero's Minimap"
+	, 317780: "Xaero's World Map"
+	, 394468: "Sodium"
+	, 455508: "Iris Shaders"
+	, 581495: "Oculus"
+};
+
+const SIDES = ["client", "server", "both"];
+
+exports.SIDES = SIDES;
+
+/**
+ * @typedef {object} SideRules
+ * @property {(number|string)[]} clientOnly Project IDs or file name globs.
+ * @property {(number|string)[]} serverOnly Project IDs or file name globs.
+ */
+
+/**
+ * Turns a simple glob (`*` and `?` only) into a case-insensitive RegExp.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+	const source = glob
+		.split("")
+		.map((char) => {
+			switch (char) {
+				case "*": return ".*";
+				case "?": return ".";
+				default: return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+			}
+		})
+		.join("");
+
+	return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Checks whether any rule is a glob, meaning file names are needed to resolve sides.
+ *
+ * @param {SideRules} rules
+ * @returns {boolean}
+ */
+exports.needsFileNames = (rules) => {
+	return [...rules.clientOnly, ...rules.serverOnly].some(rule => typeof rule == "string" && isNaN(rule));
+}
+
+/**
+ * @param {(number|string)[]} ruleList
+ * @param {number} projectID
+ * @param {string} [fileName]
+ */
+const matchesRules = (ruleList, projectID, fileName) => {
+	return ruleList.some((rule) => {
+		if (typeof rule == "number" || !isNaN(rule)) {
+			return Number(rule) == projectID;
+		}
+
+		return !!fileName && globToRegExp(rule).test(fileName);
+	});
+}
+
+/**
+ * Resolves the side a manifest file belongs to.
+ *
+ * The `side` field of the file takes priority over config rules.
+ *
+ * @param {object} file Manifest file entry.
+ * @param {string} [fileName] File name, needed to match globs.
+ * @param {SideRules} rules
+ * @returns {"client"|"server"|"both"}
+ */
+exports.getSide = (file, fileName, rules) => {
+	if (SIDES.includes(file.side)) {
+		return file.side;
+	}
+
+	if (matchesRules(rules.clientOnly, file.projectID, fileName)) {
+		return "client";
+	}
+
+	if (matchesRules(rules.serverOnly, file.projectID, fileName)) {
+		return "server";
+	}
+
+	return "both";
+}
+
+/**
+ * Checks whether a file of the given side should be included into the target side.
+ *
+ * @param {"client"|"server"|"both"} side File side.
+ * @param {"client"|"server"} target Target side.
+ * @returns {boolean}
+ */
+exports.isOnSide = (side, target) => {
+	return side == "both" || side == target;
+}
@@ -0,0 +1,78 @@
+const mustache = require("mustache");
+const through  = require("through2");
+
+/**
+ * Mustache writer that doesn't HTML-escape values and records
+ * variables that couldn't be resolved instead of emitting empty strings.
+ *
+ * Sections (`{{#name}}`) are left alone, an undefined section is simply falsy.
+ */
+class StrictWriter extends mustache.Writer {
+	constructor() {
+		super();
+		this.missing = new Set();
+	}
+
+	__value(token, context) {
+		const value = context.lookup(token[1]);
+		if (value === undefined || value === null) {
+			this.missing.add(token[1]);
+			return "";
+		}
+
+		return String(value);
+	}
+
+	escapedValue(token, context) {
+		return this.__value(token, context);
+	}
+
+	unescapedValue(token, context) {
+		return this.__value(token, context);
+	}
+}
+
+/**
+ * Renders a mustache template.
+ *
+ * Nothing is HTML-escaped, these are config files and scripts.
+ *
+ * @param {string} template Template.
+ * @param {object} context Template variables.
+ * @param {string} [name] Template name for error messages.
+ * @returns {string}
+ *
+ * @throws {Error} Throws if the template uses undefined variables.
+ */
+const render = (template, context, name = "template") => {
+	const writer = new StrictWriter();
+	const output = writer.render(template, context);
+
+	if (writer.missing.size > 0) {
+		throw new Error(`${name} uses undefined variables: ${[...writer.missing].map(x => `{{${x}}}`).join(", ")}`
+			+ `\nDefined variables: ${Object.keys(context).sort().join(", ")}`);
+	}
+
+	return output;
+}
+
+exports.render = render;
+
+/**
+ * Returns a stream rendering every file passing through it.
+ *
+ * @param {object} context Template variables.
+ */
+exports.renderStream = (context) => {
+	return through.obj((file, _, callback) => {
+		if (file.isBuffer()) {
+			try {
+				file.contents = Buffer.from(render(file.contents.toString(), context, file.relative));
+			} catch (err) {
+				return callback(err);
+			}
+		}
+
+		callback(null, file);
+	});
+}
@@ -18,4 +18,78 @@ exports.libraryToPath = (library) => {
 
 		return newURL;
 	}
-}
\ No newline at end of file
+}
+
+const MAVEN_COORDS_REG = /^([^:@]+):([^:@]+):([^:@]+)(?::([^:@]+))?(?:@(.+))?$/;
+
+/**
+ * Parses full Maven coordinates into a path, including the extension.
+ * 
+ * Turns `package:name:version[:classifier][@extension]` into
+ * `package/name/version/name-version[-classifier].extension`.
+ * 
+ * @param {string} coords 
+ * @returns {string|undefined}
+ */
+exports.mavenToPath = (coords) => {
+	const parsed = MAVEN_COORDS_REG.exec(coords);
+	if (parsed) {
+		const package = parsed[1].replace(/\./g, "/");
+		const name = parsed[2];
+		const version = parsed[3];
+		const classifier = parsed[4] ? `-${parsed[4]}` : "";
+		const extension = parsed[5] || "jar";
+
+		return `${package}/${name}/${version}/${name}-${version}${classifier}.${extension}`;
+	}
+}
+
+const BYTE_UNITS = ["B", "KiB", "MiB", "GiB", "TiB"];
+
+/**
+ * Formats the amount of bytes into a human-readable string.
+ * 
+ * @param {number} bytes 
+ * @returns {string}
+ */
+exports.formatBytes = (bytes) => {
+	var unit = 0;
+	while (bytes >= 1024 && unit < BYTE_UNITS.length - 1) {
+		bytes /= 1024;
+		unit++;
+	}
+
+	return `${unit == 0 ? bytes : bytes.toFixed(2)} ${BYTE_UNITS[unit]}`;
+}
+
+/**
+ * Checks whether a command line flag (e.g. `--offline`) has been passed.
+ * 
+ * @param {string} name Flag name without leading dashes.
+ * @returns {boolean}
+ */
+exports.hasFlag = (name) => {
+	return process.argv.some(arg => arg == `--${name}` || arg.startsWith(`--${name}=`));
+}
+
+/**
+ * Returns the value of a command line argument.
+ * 
+ * Supports both `--name value` and `--name=value`.
+ * 
+ * @param {string} name Argument name without leading dashes.
+ * @returns {string|undefined}
+ */
+exports.getArgument = (name) => {
+	const args = process.argv;
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i].startsWith(`--${name}=`)) {
+			return args[i].substring(name.length + 3);
+		}
+
+		if (args[i] == `--${name}` && i + 1 < args.length && !args[i + 1].startsWith("--")) {
+			return args[i + 1];
+		}
+	}
+}
@@ -0,0 +1,112 @@
+/**
+ * @typedef {object} ManifestOverlay
+ * @property {object[]} [add] Manifest file entries to add.
+ * Entries of projects already in the manifest replace them, e.g. to pick another file.
+ * @property {number[]} [remove] Project IDs to remove.
+ */
+
+/**
+ * @typedef {object} VariantDef
+ * @property {string} name Variant name, e.g. `lite`.
+ * @property {string} [archiveSuffix] Appended to archive names. Defaults to `-<name>`.
+ * @property {ManifestOverlay} [manifest] Changes to the mod list.
+ * @property {string[]} [overrides] Extra override folders relative to the source directory,
+ * copied on top of the modpack overrides.
+ * @property {string[]} [copyOverridesClientGlobs] Replaces `copyOverridesClientGlobs`.
+ * @property {string[]} [copyOverridesServerGlobs] Replaces `copyOverridesServerGlobs`.
+ */
+
+/**
+ * Returns the archive name suffix of a variant.
+ *
+ * @param {VariantDef} variant
+ * @returns {string}
+ */
+exports.getArchiveSuffix = (variant) => {
+	return variant.archiveSuffix !== undefined ? variant.archiveSuffix : `-${variant.name}`;
+}
+
+/**
+ * Looks for two variants with the same archive suffix,
+ * which would overwrite each other's archives.
+ *
+ * @param {VariantDef[]} variants
+ * @returns {[VariantDef, VariantDef]|null} The first clashing pair, null if there's none.
+ */
+exports.findSuffixClash = (variants) => {
+	const suffixes = variants.map(variant => exports.getArchiveSuffix(variant));
+	const index = suffixes.findIndex((suffix, index) => suffixes.indexOf(suffix) != index);
+
+	return index == -1 ? null : [variants[suffixes.indexOf(suffixes[index])], variants[index]];
+}
+
+/**
+ * Picks the override folder a file comes from,
+ * the deepest one in case one is nested in another.
+ *
+ * vinyl paths use native separators, so they're compared natively.
+ *
+ * @param {string[]} folders Absolute override folders.
+ * @param {string} file Absolute file path.
+ * @param {object} [pathImpl] `path` implementation, native by default.
+ * @returns {string|undefined} The folder, undefined if the file isn't in any.
+ */
+exports.findOverridesFolder = (folders, file, pathImpl = require("path")) => {
+	const isInside = (folder) => {
+		const relative = pathImpl.relative(folder, file);
+		return !!relative && relative.split(pathImpl.sep)[0] != ".." && !pathImpl.isAbsolute(relative);
+	};
+
+	return folders
+		.filter(isInside)
+		.sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Applies a manifest overlay, leaving the original manifest untouched.
+ *
+ * Removing projects the manifest doesn't have is a warning,
+ * adding the same project twice is an error.
+ *
+ * @param {object} manifest Parsed manifest.
+ * @param {ManifestOverlay} [overlay]
+ * @param {string} [path="$"] JSON path of the overlay, for diagnostics.
+ * @returns {{ manifest: object, diagnostics: import("./schema.js").Diagnostic[] }}
+ */
+exports.applyManifestOverlay = (manifest, overlay = {}, path = "$") => {
+	const diagnostics = [];
+
+	const remove = new Set(overlay.remove || []);
+	remove.forEach((projectID) => {
+		if (!manifest.files.some(file => file.projectID == projectID)) {
+			diagnostics.push({
+				severity: "warning"
+				, path: `${path}.remove`
+				, message: `Project ${projectID} isn't in manifest.json, nothing to remove.`
+			});
+		}
+	});
+
+	const add = overlay.add || [];
+	const added = new Set();
+	add.forEach((file, index) => {
+		if (added.has(file.projectID)) {
+			diagnostics.push({
+				severity: "error"
+				, path: `${path}.add[${index}]`
+				, message: `Project ${file.projectID} is added more than once.`
+			});
+		}
+
+		added.add(file.projectID);
+	});
+
+	const files = manifest.files
+		.filter(file => !remove.has(file.projectID) && !added.has(file.projectID))
+		.concat(add.map(file => ({ required: true, ...file })));
+
+	return {
+		manifest: { ...manifest, files: files }
+		, diagnostics: diagnostics
+	};
+}
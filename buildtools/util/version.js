@@ -0,0 +1,122 @@
+/**
+ * major.minor.patch, optionally followed by a pre-release, e.g. `1.2.0-beta.1`.
+ */
+const REGEX_VERSION = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Version parts `--bump` accepts.
+ */
+const BUMP_TYPES = ["major", "minor", "patch"];
+
+exports.BUMP_TYPES = BUMP_TYPES;
+
+/**
+ * Parses a version.
+ *
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: string|null }|null}
+ */
+const parseVersion = (version) => {
+	const parsed = REGEX_VERSION.exec(version || "");
+	if (!parsed) {
+		return null;
+	}
+
+	return {
+		major: parseInt(parsed[1], 10)
+		, minor: parseInt(parsed[2], 10)
+		, patch: parseInt(parsed[3], 10)
+		, prerelease: parsed[4] || null
+	};
+}
+
+exports.parseVersion = parseVersion;
+
+/**
+ * Works out the next version.
+ *
+ * Bumping a pre-release releases it if the bumped part is the one
+ * it's a pre-release of, e.g. `1.3.0-beta` bumped by `minor` becomes `1.3.0`.
+ * A leading `v` of explicit versions is dropped.
+ *
+ * @param {string} current Current version.
+ * @param {string} bump `major`, `minor`, `patch` or an explicit version.
+ * @returns {string}
+ *
+ * @throws {Error} Throws if either version is malformed.
+ */
+exports.bumpVersion = (current, bump) => {
+	if (!BUMP_TYPES.includes(bump)) {
+		const version = bump.replace(/^v/, "");
+		if (!parseVersion(version)) {
+			throw new Error(`Malformed version ${bump}, expected ${BUMP_TYPES.join(", ")} or major.minor.patch.`);
+		}
+
+		return version;
+	}
+
+	const parsed = parseVersion(current);
+	if (!parsed) {
+		throw new Error(`Can't bump version ${current}, expected major.minor.patch.`);
+	}
+
+	let { major, minor, patch, prerelease } = parsed;
+
+	switch (bump) {
+		case "major":
+			if (!prerelease || minor != 0 || patch != 0) {
+				major++;
+			}
+			minor = 0;
+			patch = 0;
+			break;
+
+		case "minor":
+			if (!prerelease || patch != 0) {
+				minor++;
+			}
+			patch = 0;
+			break;
+
+		case "patch":
+			if (!prerelease) {
+				patch++;
+			}
+			break;
+	}
+
+	return `${major}.${minor}.${patch}`;
+}
+
+/**
+ * Placeholder marking the version in `releaseVersionFiles` patterns.
+ */
+const VERSION_PLACEHOLDER = "{{version}}";
+
+exports.VERSION_PLACEHOLDER = VERSION_PLACEHOLDER;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Replaces every occurrence of the previous version with the new one.
+ *
+ * With a pattern, only occurrences within it are replaced,
+ * e.g. `version = "{{version}}"`.
+ *
+ * @param {string} contents File contents.
+ * @param {string} [pattern] Text around the version, `{{version}}` marking it.
+ * @param {string} previousVersion
+ * @param {string} version
+ * @returns {{ contents: string, matches: number }} New contents and the number of replacements.
+ */
+exports.replaceVersion = (contents, pattern, previousVersion, version) => {
+	const parts = (pattern || VERSION_PLACEHOLDER).split(VERSION_PLACEHOLDER);
+	const regex = new RegExp(parts.map(escapeRegExp).join(escapeRegExp(previousVersion)), "g");
+
+	const matches = (contents.match(regex) || []).length;
+
+	return {
+		contents: matches > 0 ? contents.replace(regex, () => parts.join(version)) : contents
+		, matches: matches
+	};
+}
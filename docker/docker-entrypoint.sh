@@ -0,0 +1,30 @@
+#!/bin/sh
+set -e
+
+# {{packName}} {{packVersion}} server entrypoint
+cd /server
+
+# Minecraft refuses to start without an accepted EULA.
+if [ "$(echo "$EULA" | tr '[:upper:]' '[:lower:]')" = "true" ]; then
+	echo "eula=true" > eula.txt
+elif ! grep -qi '^eula=true' eula.txt 2>/dev/null; then
+	echo "You have to accept the Minecraft EULA (https://account.mojang.com/documents/minecraft_eula)."
+	echo "Run the container with -e EULA=true to accept it."
+	exit 1
+fi
+
+# Files mounted into $CONFIG_OVERRIDES_DIR are copied over the server folder,
+# e.g. /server-overrides/config/foo.cfg replaces /server/config/foo.cfg.
+if [ -d "$CONFIG_OVERRIDES_DIR" ]; then
+	echo "Applying overrides from $CONFIG_OVERRIDES_DIR..."
+	cp -R "$CONFIG_OVERRIDES_DIR"/. /server/
+fi
+
+# Keep the world wherever $WORLD_DIR points to. Pass it to the server
+# rather than replacing /server/world, which may be a mounted volume.
+if [ "$WORLD_DIR" != "/server/world" ]; then
+	mkdir -p "$WORLD_DIR"
+	set -- --universe "$(dirname "$WORLD_DIR")" --world "$(basename "$WORLD_DIR")" "$@"
+fi
+
+exec java -server -Xms"$MIN_RAM" -Xmx"$MAX_RAM" $JVM_ARGS {{launchArgs}} nogui "$@"
@@ -5,7 +5,8 @@
 
 :: DO NOT EDIT UNLESS YOU KNOW WHAT YOU'RE DOING
 @ECHO OFF
-SET FORGEJAR={{forgeJar}}
+SET SERVERJAR={{serverJar}}
+SET LAUNCH_TARGET={{{launchArgsWindows}}}
 SET JAVA_PARAMETERS={{jvmArgs}}
 
 :: these you can edit
@@ -13,14 +14,16 @@ SET MIN_RAM={{minRAM}}
 SET MAX_RAM={{maxRAM}}
 
 :: DO NOT EDIT ANYTHING PAST THIS LINE
-SET LAUNCHPARAMS=-server -Xms%MIN_RAM% -Xmx%MAX_RAM% %JAVA_PARAMETERS% -jar %FORGEJAR% nogui
+SET LAUNCHPARAMS=-server -Xms%MIN_RAM% -Xmx%MAX_RAM% %JAVA_PARAMETERS% %LAUNCH_TARGET% nogui
 echo Launching the server...
 echo.
 echo ^> java %LAUNCHPARAMS%
 echo.
 java %LAUNCHPARAMS%
 
+{{#interactive}}
 echo.
 echo ^> The server has stopped. If it's a crash, please read the output above.
 echo.
 pause
+{{/interactive}}
@@ -6,7 +6,8 @@
 # https://github.com/Neeve01 
 
 # DO NOT EDIT UNLESS YOU KNOW WHAT YOU'RE DOING
-FORGEJAR='{{forgeJar}}'
+SERVERJAR='{{serverJar}}'
+LAUNCH_TARGET='{{{launchArgs}}}'
 JAVA_PARAMETERS='{{jvmArgs}}'
 
 # these you can edit
@@ -14,11 +15,13 @@ MIN_RAM='{{minRAM}}'
 MAX_RAM='{{maxRAM}}'
 
 # DO NOT EDIT ANYTHING PAST THIS LINE
-LAUNCHPARAMS="-server -Xms$MIN_RAM -Xmx$MAX_RAM $JAVA_PARAMETERS -jar $FORGEJAR nogui"
+LAUNCHPARAMS="-server -Xms$MIN_RAM -Xmx$MAX_RAM $JAVA_PARAMETERS $LAUNCH_TARGET nogui"
 
 echo $'Launching the server...\n'
 echo '> java '$LAUNCHPARAMS$'\n'
 
 java $LAUNCHPARAMS
 
+{{#interactive}}
 read -p $'\n- The server has stopped. If it\'s a crash, please read the output above.\n\n- Press Return to exit...'
+{{/interactive}}
@@ -0,0 +1,143 @@
+#!/bin/sh
+
+# {{packName}} {{packVersion}} server helper
+#
+# Runs the server in a detached {{#useTmux}}tmux{{/useTmux}}{{^useTmux}}screen{{/useTmux}} session.
+# Usage: ./service.sh start|stop|restart|status|console|backup
+
+SESSION='{{serviceName}}'
+SERVER_DIR="$(cd "$(dirname "$0")" && pwd)"
+BACKUP_DIR="${BACKUP_DIR:-$SERVER_DIR/backups}"
+STOP_TIMEOUT="${STOP_TIMEOUT:-120}"
+
+cd "$SERVER_DIR"
+
+{{#useTmux}}
+is_running() {
+	tmux has-session -t "$SESSION" 2>/dev/null
+}
+
+send_command() {
+	tmux send-keys -t "$SESSION" "$1" Enter
+}
+
+start_session() {
+	tmux new-session -d -s "$SESSION" sh ./launch.sh
+}
+
+attach_session() {
+	tmux attach -t "$SESSION"
+}
+{{/useTmux}}
+{{^useTmux}}
+is_running() {
+	screen -list | grep -q "\.$SESSION[[:space:]]"
+}
+
+send_command() {
+	screen -S "$SESSION" -p 0 -X stuff "$1$(printf '\r')"
+}
+
+start_session() {
+	screen -dmS "$SESSION" sh ./launch.sh
+}
+
+attach_session() {
+	screen -r "$SESSION"
+}
+{{/useTmux}}
+
+start() {
+	if is_running; then
+		echo "The server is already running."
+		return 1
+	fi
+
+	start_session
+	echo "The server is starting. Use '$0 console' to see the output."
+}
+
+stop() {
+	if ! is_running; then
+		echo "The server isn't running."
+		return 1
+	fi
+
+	send_command "stop"
+	echo "Waiting for the server to stop..."
+
+	elapsed=0
+	while is_running; do
+		if [ "$elapsed" -ge "$STOP_TIMEOUT" ]; then
+			echo "The server didn't stop in $STOP_TIMEOUT seconds."
+			return 1
+		fi
+
+		sleep 1
+		elapsed=$((elapsed + 1))
+	done
+
+	echo "The server has stopped."
+}
+
+backup() {
+	world="$(grep '^level-name=' server.properties 2>/dev/null | cut -d= -f2-)"
+	world="${world:-world}"
+	archive="$BACKUP_DIR/$world-$(date +%Y%m%d-%H%M%S).tar.gz"
+
+	mkdir -p "$BACKUP_DIR"
+
+	# Stop the server from writing to the world while it's being archived.
+	if is_running; then
+		send_command "save-off"
+		send_command "save-all"
+		sleep 10
+	fi
+
+	tar -czf "$archive" "$world"
+	status=$?
+
+	if is_running; then
+		send_command "save-on"
+	fi
+
+	if [ "$status" -eq 0 ]; then
+		echo "Saved $archive"
+	fi
+
+	return $status
+}
+
+case "$1" in
+	start)
+		start
+		;;
+	stop)
+		stop
+		;;
+	restart)
+		if is_running; then
+			stop || exit 1
+		fi
+
+		start
+		;;
+	status)
+		if is_running; then
+			echo "The server is running."
+		else
+			echo "The server isn't running."
+			exit 1
+		fi
+		;;
+	console)
+		attach_session
+		;;
+	backup)
+		backup
+		;;
+	*)
+		echo "Usage: $0 start|stop|restart|status|console|backup"
+		exit 1
+		;;
+esac